@@ -1,44 +1,105 @@
 import {onCall, HttpsError} from "firebase-functions/v2/https";
 import {log} from "firebase-functions/logger";
-import {initializeApp} from "firebase-admin/app";
 import {getAuth} from "firebase-admin/auth";
-import {getFirestore, FieldValue} from "firebase-admin/firestore";
-import {getMessaging} from "firebase-admin/messaging";
-import apn from "apn";
-
-initializeApp();
-const db = getFirestore(); // Initialize Firestore instance
-
-/**
- * Checks if a token is an APNs token (64 hex chars, no colons, no spaces).
- * @param {string} token
- * @return {boolean}
- */
-function isApnsToken(token) {
-  return /^[a-f0-9]{64}$/i.test(token);
-}
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./src/firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  getStaffStoreIds,
+  assertCanManageStore,
+  assertCanManageStaff,
+  assertCanNotifyCustomer,
+} from "./src/authz.js";
+import {sendToMobile} from "./src/notify.js";
+import {PUSH_SECRETS} from "./src/push/index.js";
+import {runBroadcast} from "./src/broadcast.js";
+import {normalizeAudienceFilters} from "./src/audience.js";
+import {scheduleBroadcast} from "./src/scheduledBroadcasts.js";
+import {
+  assertHasContent,
+  createStoreLoader,
+  findCustomerRepair,
+  loadTemplate,
+  normalizeTemplateVariables,
+} from "./src/templates.js";
+import {
+  assertCanReassignRepairs,
+  createStaffProfile,
+  findOpenRepairs,
+  loadManageableStaff,
+  reassignRepairs,
+} from "./src/staffLifecycle.js";
+import {updateAssignedStores} from "./src/activeStore.js";
+import {getLegacyStaffMode} from "./src/legacyStaff.js";
+import {expandAssignments, resolvePermissions} from "./src/roleTemplates.js";
+import {recordAudit, recordStaffAudit} from "./src/audit.js";
+import {getStoreCountry, normalizePhone} from "./src/phone.js";
+import {toHttpsError} from "./src/errors.js";
+import {
+  ID,
+  PERMISSIONS,
+  REQUIRED_ID,
+  REQUIRED_TEXT,
+  TEXT,
+  fieldError,
+  invalidRequest,
+  validateRequest,
+} from "./src/validation.js";
+
+const CREATE_STAFF_USER_SCHEMA = {
+  email: {type: "string", required: true, format: "email"},
+  password: {type: "string", required: true, minLength: 6},
+  name: REQUIRED_TEXT,
+  mobile: {type: "string", format: "phone"},
+  permissions: PERMISSIONS,
+  businessId: ID,
+  roleTemplateId: ID,
+  storeId: ID,
+  assignedStores: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        storeId: REQUIRED_ID,
+        permissions: PERMISSIONS,
+        roleTemplateId: ID,
+        isActive: {type: "boolean"},
+      },
+    },
+  },
+};
 
 export const createStaffUser = onCall(async (request) => {
   log("DEBUG: request.auth:", request.auth);
   log("DEBUG: request.data:", request.data);
-  if (!request.auth) {
-    log("DEBUG: Not authenticated!");
-    throw new HttpsError("unauthenticated", "Request not authenticated", {
-      auth: request.auth,
-    });
-  }
+  const auth = requireAuth(request);
 
   // Support both old businessId and new multi-store system
-  const {
-    email,
-    password,
-    name,
-    mobile,
-    permissions,
-    businessId,
-    storeId,
-    assignedStores,
-  } = request.data;
+  // (see LEGACY_STAFF_MODE)
+  const data = validateRequest(request, CREATE_STAFF_USER_SCHEMA);
+  const {email, password, name, mobile, businessId, storeId, roleTemplateId} =
+    data;
+  let {assignedStores, permissions} = data;
+
+  const legacyMode = getLegacyStaffMode();
+  let hasAssignedStores =
+    Array.isArray(assignedStores) && assignedStores.length > 0;
+  if (!hasAssignedStores && (!businessId || legacyMode === "reject")) {
+    throw invalidRequest([
+      {
+        field: "assignedStores",
+        code: "required",
+        message: legacyMode === "reject" ?
+          "is required; businessId is no longer accepted" :
+          "or businessId is required",
+      },
+    ]);
+  }
+  if (!hasAssignedStores && legacyMode === "convert") {
+    assignedStores = [{storeId: businessId, permissions, roleTemplateId}];
+    hasAssignedStores = true;
+  }
 
   log("DEBUG: Staff creation data:", {
     email,
@@ -50,813 +111,780 @@ export const createStaffUser = onCall(async (request) => {
     assignedStores,
   });
 
-  try {
-    // 1. Create Auth user
-    const userRecord = await getAuth().createUser({
-      email,
-      password,
-      displayName: name,
-    });
-
-    // 2. Prepare staff profile data
-    const staffProfile = {
-      uid: userRecord.uid,
-      email,
-      name,
-      mobile,
-      role: "staff",
-      createdAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp(),
-      active: true,
-    };
-
-    // 3. Handle multi-store assignment
-    if (
-      assignedStores &&
-      Array.isArray(assignedStores) &&
-      assignedStores.length > 0
-    ) {
-      // New multi-store system
-      staffProfile.assignedStores = assignedStores;
-      staffProfile.activeStoreId = assignedStores[0]?.storeId || null;
-      staffProfile.permissions =
-        assignedStores[0]?.permissions || permissions || [];
-
-      log("DEBUG: Using multi-store system:", {
-        assignedStores: staffProfile.assignedStores,
-        activeStoreId: staffProfile.activeStoreId,
-        permissions: staffProfile.permissions,
-      });
-    } else if (businessId) {
-      // Legacy single-store system
-      staffProfile.businessId = businessId;
-      staffProfile.permissions = permissions || [];
-
-      log("DEBUG: Using legacy businessId system:", {
-        businessId: staffProfile.businessId,
-        permissions: staffProfile.permissions,
-      });
-    } else {
-      throw new HttpsError(
-          "invalid-argument",
-          "Either businessId or assignedStores must be provided",
-      );
-    }
-
-    // 4. Add staff profile to Firestore
-    await db.collection("users").doc(userRecord.uid).set(staffProfile);
+  // Caller must own or manage every store the new staff member joins
+  const caller = await getCallerContext(auth.uid);
+  if (hasAssignedStores) {
+    assignedStores.forEach((assignment) =>
+      assertCanManageStore(caller, assignment.storeId),
+    );
+  } else {
+    assertCanManageStore(caller, businessId);
+  }
 
-    log("DEBUG: Staff user created successfully:", {
-      uid: userRecord.uid,
-      email,
-      role: "staff",
+  // Role templates expand into the permissions they stand for
+  if (hasAssignedStores) {
+    assignedStores = await expandAssignments(assignedStores);
+  } else {
+    permissions = await resolvePermissions(businessId, {
+      permissions,
+      roleTemplateId,
     });
+  }
 
-    return {success: true, uid: userRecord.uid};
+  try {
+    const {uid} = await createStaffProfile(
+        auth.uid,
+        hasAssignedStores ?
+          {email, password, name, mobile, assignedStores} :
+          {email, password, name, mobile, businessId, permissions},
+    );
+    return {success: true, uid};
   } catch (error) {
-    log("DEBUG: Error in createStaffUser:", error.message);
-    throw new HttpsError("internal", error.message, {auth: request.auth});
+    throw toHttpsError(error, "createStaffUser");
   }
 });
 
+const DELETE_STAFF_USER_SCHEMA = {
+  staffUid: REQUIRED_ID,
+  reassignTo: ID,
+};
+
+/**
+ * Permanently deletes a staff member. Prefer `deactivateStaffUser`; this
+ * refuses while the staff member still has open repairs unless
+ * `reassignTo` names who takes them over.
+ * @param {object} request
+ * @return {Promise<object>}
+ */
 export const deleteStaffUser = onCall(async (request) => {
   log("DEBUG: request.auth:", request.auth);
   log("DEBUG: request.data:", request.data);
-  if (!request.auth) {
-    throw new HttpsError("unauthenticated", "Request not authenticated", {
-      auth: request.auth,
-    });
-  }
-  const {staffUid} = request.data;
+  const auth = requireAuth(request);
+  const {staffUid, reassignTo} = validateRequest(
+      request,
+      DELETE_STAFF_USER_SCHEMA,
+  );
 
   log("DEBUG: Deleting staff user:", staffUid);
 
+  const caller = await getCallerContext(auth.uid);
+  const {data: staffData} = await loadManageableStaff(caller, staffUid);
+
+  const openRepairs = await findOpenRepairs(staffUid);
+  if (openRepairs.length > 0 && !reassignTo) {
+    throw new HttpsError(
+        "failed-precondition",
+        `Staff member still has ${openRepairs.length} open repair(s); ` +
+          "pass reassignTo or deactivate them instead",
+        {
+          reason: "staff_has_open_repairs",
+          openRepairIds: openRepairs.map((doc) => doc.id),
+        },
+    );
+  }
+
+  if (openRepairs.length > 0) {
+    await assertCanReassignRepairs(openRepairs, staffUid, reassignTo);
+  }
+
   try {
-    // 1. Get staff profile to log what's being deleted
-    const staffDoc = await db.collection("users").doc(staffUid).get();
-    if (staffDoc.exists) {
-      const staffData = staffDoc.data();
-      log("DEBUG: Staff profile to be deleted:", {
-        uid: staffUid,
-        email: staffData.email,
-        name: staffData.name,
-        role: staffData.role,
-        assignedStores: staffData.assignedStores || [],
-        businessId: staffData.businessId || null,
-      });
+    // 1. Log the staff profile that's being deleted
+    log("DEBUG: Staff profile to be deleted:", {
+      uid: staffUid,
+      email: staffData.email,
+      name: staffData.name,
+      role: staffData.role,
+      assignedStores: staffData.assignedStores || [],
+      businessId: staffData.businessId || null,
+    });
+
+    // 2. Delete Auth user first, so nothing else changes if it fails. A
+    // retry after a later step failed finds it already gone.
+    try {
+      await getAuth().deleteUser(staffUid);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") {
+        throw error;
+      }
     }
 
-    // 2. Delete Auth user
-    await getAuth().deleteUser(staffUid);
+    // 3. Hand open repairs over to the user checked above
+    const reassignedRepairs = openRepairs.length > 0 ?
+      await reassignRepairs(openRepairs, staffUid, reassignTo, auth.uid) :
+      0;
 
-    // 3. Delete Firestore profile
+    // 4. Delete Firestore profile
     await db.collection("users").doc(staffUid).delete();
 
     log("DEBUG: Staff user deleted successfully:", staffUid);
-    return {success: true};
+    await recordStaffAudit(
+        auth.uid,
+        "staff.delete",
+        staffUid,
+        staffData,
+        null,
+        {
+          email: staffData.email || null,
+          reassignTo: reassignTo || null,
+          reassignedRepairs,
+        },
+    );
+    return {success: true, reassignedRepairs};
   } catch (error) {
-    log("DEBUG: Error in deleteStaffUser:", error.message);
-    throw new HttpsError("internal", error.message);
+    throw toHttpsError(error, "deleteStaffUser");
   }
 });
 
-export const sendBroadcastNotification = onCall(async (request) => {
+const UPDATE_STAFF_USER_SCHEMA = {
+  staffUid: REQUIRED_ID,
+  email: {type: "string", format: "email"},
+  password: {type: "string", minLength: 6},
+  name: TEXT,
+  mobile: {type: "string", format: "phone"},
+  permissions: PERMISSIONS,
+  storeId: ID,
+};
+
+/**
+ * Edits a staff member in place, keeping their uid and history. Name, email
+ * and password are changed in Firebase Auth and the profile together;
+ * `mobile: null` clears the mobile number. For staff with `assignedStores`,
+ * `permissions` replace those of the assignment at `storeId`.
+ * @param {object} request
+ * @return {Promise<object>}
+ */
+export const updateStaffUser = onCall(async (request) => {
   log("DEBUG: request.auth:", request.auth);
-  log("DEBUG: request.data:", request.data);
+  log("DEBUG: request.data:", {...request.data, password: undefined});
+  const auth = requireAuth(request);
 
-  if (!request.auth) {
-    throw new HttpsError("unauthenticated", "Request not authenticated", {
-      auth: request.auth,
+  const {staffUid, email, password, name, mobile, permissions, storeId} =
+    validateRequest(request, UPDATE_STAFF_USER_SCHEMA);
+
+  const errors = [];
+  if (name === null) {
+    errors.push({field: "name", code: "required", message: "cannot be null"});
+  }
+  if (email === null) {
+    errors.push({field: "email", code: "required", message: "cannot be null"});
+  }
+  if (
+    [email, password, name, mobile, permissions].every(
+        (value) => value === undefined,
+    )
+  ) {
+    errors.push({
+      field: null,
+      code: "required",
+      message: "Nothing to update: pass name, mobile, email, password " +
+        "or permissions",
     });
   }
+  if (storeId !== undefined && permissions === undefined) {
+    errors.push({
+      field: "storeId",
+      code: "invalid",
+      message: "is only used together with permissions",
+    });
+  }
+  if (errors.length > 0) {
+    throw invalidRequest(errors);
+  }
 
-  const {businessId, title, message, imageUrl, data} = request.data;
-
-  if (!businessId || !title || !message) {
+  const caller = await getCallerContext(auth.uid);
+  const {ref: staffRef, data: staffData} = await loadManageableStaff(
+      caller,
+      staffUid,
+  );
+
+  // Staff with assignments get their permissions from the assignment;
+  // only legacy single-store staff use the profile's `permissions`
+  const usesAssignments = (staffData.assignedStores || []).length > 0;
+  if (permissions !== undefined && usesAssignments) {
+    if (!storeId) {
+      throw fieldError(
+          "storeId",
+          "is required to change the permissions of staff assigned to stores",
+          "required",
+      );
+    }
+    assertCanManageStore(caller, storeId);
+  }
+  const assignedStoreIds = usesAssignments ?
+    staffData.assignedStores.map((assignment) => assignment?.storeId) :
+    [staffData.businessId];
+  if (permissions !== undefined && storeId &&
+    !assignedStoreIds.includes(storeId)) {
     throw new HttpsError(
-        "invalid-argument",
-        "businessId,title,and message are required",
+        "failed-precondition",
+        "Staff member is not assigned to this store",
+        {reason: "store_not_assigned", storeId},
     );
   }
 
   try {
-    const repairsRef = db.collection("repairs");
-    const repairsSnapshot = await repairsRef
-        .where("businessId", "==", businessId)
-        .get();
-
-    log(
-        "DEBUG: Found repairs for business:",
-        businessId,
-        "Count:",
-        repairsSnapshot.size,
-    );
-
-    const uniqueMobileNumbers = new Set();
-    repairsSnapshot.forEach((doc) => {
-      const repairData = doc.data();
-      log("DEBUG: Repair data:", {
-        repairId: doc.id,
-        customerMobile: repairData.customerMobile,
-        businessId: repairData.businessId,
-      });
-      if (repairData.customerMobile) {
-        uniqueMobileNumbers.add(repairData.customerMobile);
-      }
-    });
-
-    log("DEBUG: Unique mobile numbers found:", Array.from(uniqueMobileNumbers));
-
-    if (uniqueMobileNumbers.size === 0) {
-      log("DEBUG: No customers found in repairs for business:", businessId);
-      return {
-        success: true,
-        message: "No customers found in repairs",
-        totalTokens: 0,
-        totalSuccess: 0,
-        totalFailure: 0,
-      };
+    // 1. Update Auth first so a rejected email or password changes nothing
+    const authUpdates = {};
+    if (email !== undefined && email !== staffData.email) {
+      authUpdates.email = email;
+    }
+    if (password !== undefined) {
+      authUpdates.password = password;
+    }
+    if (name !== undefined) {
+      authUpdates.displayName = name;
+    }
+    if (Object.keys(authUpdates).length > 0) {
+      await getAuth().updateUser(staffUid, authUpdates);
     }
 
-    // Get FCM tokens for these mobile numbers from users collection
-    const tokens = [];
-    const usersRef = db.collection("users");
-
-    for (const mobileNumber of uniqueMobileNumbers) {
-      try {
-        log("DEBUG: Looking for user with mobile:", mobileNumber);
-        const userQuery = await usersRef
-            .where("mobile", "==", mobileNumber)
-            .where("role", "==", "user")
-            .get();
-
-        log(
-            "DEBUG: Found users for mobile:",
-            mobileNumber,
-            "Count:",
-            userQuery.size,
-        );
+    // 2. Mirror the change in the staff profile
+    const profileUpdates = {updatedAt: FieldValue.serverTimestamp()};
+    if (authUpdates.email) {
+      profileUpdates.email = email;
+    }
+    if (name !== undefined) {
+      profileUpdates.name = name;
+    }
+    if (mobile !== undefined) {
+      profileUpdates.mobile = mobile;
+    }
+    if (permissions !== undefined && !usesAssignments) {
+      profileUpdates.permissions = permissions || [];
+    }
 
-        if (!userQuery.empty) {
-          userQuery.docs.forEach((doc) => {
-            const userData = doc.data();
-            log("DEBUG: User data for mobile:", mobileNumber, {
-              hasFcmToken: !!userData.fcmToken,
-              hasFcmTokens: Array.isArray(userData.fcmTokens),
-              fcmTokensLength: Array.isArray(userData.fcmTokens) ?
-                userData.fcmTokens.length :
-                0,
-            });
-            // Support both array and legacy string
-            if (Array.isArray(userData.fcmTokens)) {
-              userData.fcmTokens.forEach((token) => {
-                if (typeof token === "string" && token.length > 0) {
-                  tokens.push(token);
-                }
-              });
-            } else if (userData.fcmToken) {
-              tokens.push(userData.fcmToken);
-            }
-          });
-        } else {
-          log("DEBUG: No user found for mobile:", mobileNumber);
+    // Assignment permissions change with the profile in one transaction,
+    // keeping the active store rule
+    let active = null;
+    if (permissions === undefined || !usesAssignments) {
+      await staffRef.update(profileUpdates);
+    } else {
+      active = await updateAssignedStores(staffRef, (assignedStores) => {
+        if (!assignedStores.some((assignment) =>
+          assignment.storeId === storeId)) {
+          throw new HttpsError(
+              "failed-precondition",
+              "Staff member is not assigned to this store",
+              {reason: "store_not_assigned", storeId},
+          );
         }
-      } catch (error) {
-        log(
-            "DEBUG: Error fetching user for mobile:",
-            mobileNumber,
-            error.message,
-        );
-      }
+        // Explicit permissions replace the assignment's role template
+        return assignedStores.map((assignment) => {
+          if (assignment.storeId !== storeId) {
+            return assignment;
+          }
+          const updated = {...assignment, permissions: permissions || []};
+          delete updated.roleTemplateId;
+          return updated;
+        });
+      }, profileUpdates);
     }
 
-    // Split tokens into FCM and APNs tokens
-    const fcmTokens = tokens.filter((t) => !isApnsToken(t));
-    const apnsTokens = tokens.filter(isApnsToken);
-
-    if (fcmTokens.length === 0 && apnsTokens.length === 0) {
-      log("DEBUG: No FCM or APNs tokens found for customers:", businessId);
-      return {
-        success: true,
-        message: "No customers found with FCM or APNs tokens",
-        totalTokens: 0,
-        totalSuccess: 0,
-        totalFailure: 0,
-      };
+    const updatedFields = Object.keys(profileUpdates)
+        .filter((field) => field !== "updatedAt");
+    if (active) {
+      updatedFields.push("permissions");
     }
-
-    // Prepare notification payload (for FCM)
-    const payload = {
-      notification: {
-        title: title,
-        body: message,
-        ...(imageUrl && {imageUrl: imageUrl}),
-      },
-      data: data || {},
-      android: {
-        priority: "high",
-        notification: {
-          sound: "default",
-          priority: "high",
-          ...(imageUrl && {imageUrl: imageUrl}),
-        },
-      },
-      apns: {
-        payload: {
-          aps: {sound: "default", ...(imageUrl && {"mutable-content": 1})},
-          ...(imageUrl && {fcm_options: {image: imageUrl}}),
-        },
-      },
-    };
-
-    // Send FCM notifications in batches (FCM limit is 500 tokens per request)
-    const batchSize = 500;
-    const results = [];
-    let totalSuccess = 0;
-    let totalFailure = 0;
-
-    for (let i = 0; i < fcmTokens.length; i += batchSize) {
-      const batch = fcmTokens.slice(i, i + batchSize);
-      try {
-        const multicastMessage = {tokens: batch, ...payload};
-        const response = await getMessaging().sendEachForMulticast(
-            multicastMessage,
-        );
-        results.push({
-          batch: Math.floor(i / batchSize) + 1,
-          type: "FCM",
-          successCount: response.successCount,
-          failureCount: response.failureCount,
-          responses: response.responses,
-        });
-        totalSuccess += response.successCount;
-        totalFailure += response.failureCount;
-      } catch (error) {
-        log("DEBUG: Error sending FCM batch:", error.message);
-        results.push({
-          batch: Math.floor(i / batchSize) + 1,
-          type: "FCM",
-          error: error.message,
-        });
-      }
+    if (password !== undefined) {
+      updatedFields.push("password");
     }
 
-    // Send APNs notifications if there are APNs tokens
-    if (apnsTokens.length > 0) {
-      log("DEBUG: Sending APNs notifications", {
-        apnsTokenCount: apnsTokens.length,
+    log("DEBUG: Staff user updated successfully:", {
+      uid: staffUid,
+      updatedFields,
+    });
+    await recordStaffAudit(
+        auth.uid,
+        "staff.update",
+        staffUid,
+        staffData,
+        {...staffData, ...profileUpdates, ...active},
+        {updatedFields, storeId: storeId || null},
+    );
+    return {success: true, uid: staffUid, updatedFields};
+  } catch (error) {
+    throw toHttpsError(error, "updateStaffUser");
+  }
+});
+
+const SEND_BROADCAST_SCHEMA = {
+  businessId: REQUIRED_ID,
+  title: TEXT,
+  message: TEXT,
+  templateId: ID,
+  variables: {type: "object"},
+  imageUrl: {type: "string"},
+  data: {type: "object"},
+  audience: {type: "object"},
+  sendAt: {type: ["string", "integer"]},
+  timeZone: {type: "string"},
+};
+
+export const sendBroadcastNotification = onCall(
+    {secrets: PUSH_SECRETS},
+    async (request) => {
+      log("DEBUG: request.auth:", request.auth);
+      log("DEBUG: request.data:", request.data);
+      const auth = requireAuth(request);
+
+      const {
+        businessId,
         title,
         message,
+        templateId,
+        variables,
         imageUrl,
         data,
-      });
-      // APNs provider setup (replace with your credentials)
-      const apnProvider = new apn.Provider({
-        token: {
-          key: "./AuthKey_G3U784978F.p8",
-          keyId: "G3U784978F",
-          teamId: "PWZNNKGGN3",
-        },
-        production: true,
-      });
-      const apnNotification = new apn.Notification();
-      apnNotification.alert = {title, body: message};
-      apnNotification.sound = "default";
-      apnNotification.topic = "com.ankit.aman.Fixisy";
-      // if (imageUrl) {
-      //   apnNotification.mutableContent = 1;
-      //   apnNotification.aps = {"mutable-content": 1};
-      //   apnNotification.payload = {
-      //     ...(apnNotification.payload || {}),
-      //     imageUrl,
-      //   };
-      // }
-      if (data) {
-        apnNotification.payload = {
-          ...(apnNotification.payload || {}),
-          ...data,
-        };
+        audience,
+        sendAt,
+        timeZone,
+      } = validateRequest(request, SEND_BROADCAST_SCHEMA);
+      assertHasContent({title, message, templateId});
+
+      const caller = await getCallerContext(auth.uid);
+      assertCanManageStore(caller, businessId);
+      const audienceFilters = normalizeAudienceFilters(audience);
+      const templateVariables = normalizeTemplateVariables(variables);
+      if (templateId) {
+        await loadTemplate(templateId, businessId);
       }
-      // Send APNs notifications in batches (max 1000 per batch is safe)
-      for (let i = 0; i < apnsTokens.length; i += 1000) {
-        const batch = apnsTokens.slice(i, i + 1000);
-        log("DEBUG: Sending APNs batch", {
-          batchNumber: Math.floor(i / 1000) + 1,
-          batchSize: batch.length,
-          notificationPayload: apnNotification,
+
+      // A future sendAt queues the broadcast instead of sending it now
+      if (sendAt !== undefined && sendAt !== null) {
+        const scheduled = await scheduleBroadcast({
+          businessId,
+          title,
+          message,
+          templateId,
+          variables: templateVariables,
+          imageUrl,
+          data,
+          audience: audienceFilters,
+          sendAt,
+          timeZone,
+          createdBy: auth.uid,
         });
-        try {
-          const response = await apnProvider.send(apnNotification, batch);
-          log("DEBUG: APNs batch response", {
-            batchNumber: Math.floor(i / 1000) + 1,
-            sent: response.sent.length,
-            failed: response.failed.length,
-            failedDetails: response.failed,
-          });
-          if (response.failed && response.failed.length > 0) {
-            response.failed.forEach((fail, idx) => {
-              log("APNs failure detail", {
-                batch: Math.floor(i / 1000) + 1,
-                index: idx,
-                device: fail.device,
-                status: fail.status,
-                response: fail.response,
-                error: fail.error,
-                full: JSON.stringify(fail),
-              });
-            });
-          }
-          results.push({
-            batch: Math.floor(i / 1000) + 1,
-            type: "APNs",
-            sent: response.sent.length,
-            failed: response.failed.length,
-            details: response.failed,
-          });
-          totalSuccess += response.sent.length;
-          totalFailure += response.failed.length;
-        } catch (error) {
-          log("DEBUG: Error sending APNs batch:", error.message);
-          results.push({
-            batch: Math.floor(i / 1000) + 1,
-            type: "APNs",
-            error: error.message,
-          });
-        }
+        await recordAudit({
+          actorUid: auth.uid,
+          action: "broadcast.schedule",
+          storeIds: [businessId],
+          target: {
+            type: "scheduledBroadcast",
+            id: scheduled.scheduledBroadcastId,
+          },
+          details: {
+            title: title || null,
+            templateId: templateId || null,
+            sendAt: scheduled.sendAt,
+          },
+        });
+        return scheduled;
       }
-      apnProvider.shutdown();
-    }
 
-    log("DEBUG: Broadcast notification sent successfully:", {
-      totalTokens: tokens.length,
-      totalSuccess,
-      totalFailure,
-      results,
+      try {
+        const result = await runBroadcast({
+          businessId,
+          title,
+          message,
+          templateId,
+          variables: templateVariables,
+          imageUrl,
+          data,
+          audience: audienceFilters,
+          senderUid: auth.uid,
+        });
+        await recordAudit({
+          actorUid: auth.uid,
+          action: "broadcast.send",
+          storeIds: [businessId],
+          target: {type: "notification", id: result.notificationId || null},
+          details: {
+            title: title || null,
+            templateId: templateId || null,
+            audience: audienceFilters || null,
+            audienceSize: result.audienceSize || 0,
+          },
+        });
+        return result;
+      } catch (error) {
+        throw toHttpsError(error, "sendBroadcastNotification");
+      }
     });
 
-    return {
-      success: true,
-      message:
-        `Notification sent to ${totalSuccess} devices` +
-        (apnsTokens.length > 0 ? " (includes APNs)" : ""),
-      totalTokens: tokens.length,
-      totalSuccess,
-      totalFailure,
-      results,
-    };
-  } catch (error) {
-    log("DEBUG: Error in sendBroadcastNotification:", error.message);
-    throw new HttpsError("internal", error.message);
-  }
-});
+const SEND_STATUS_UPDATE_SCHEMA = {
+  mobile: {type: "string", required: true, format: "phone"},
+  title: TEXT,
+  message: TEXT,
+  templateId: ID,
+  variables: {type: "object"},
+  repairId: ID,
+  imageUrl: {type: "string"},
+  data: {type: "object"},
+  businessId: ID,
+};
 
 /**
  * Sends a status update notification to a user by mobile number.
  * Supports both FCM and APNs tokens, with image and data payloads.
+ * With `templateId` the text is rendered in the customer's locale from the
+ * repair (`repairId`, or their latest one) and `variables`.
+ * The mobile is matched in E.164 form; numbers without a calling code are
+ * read in the country of `businessId` (or `DEFAULT_PHONE_COUNTRY`).
  * @param {object} request
  * @return {Promise<object>}
  */
-export const sendStatusUpdate = onCall(async (request) => {
-  log("DEBUG: sendNotificationByMobile called. request.auth:", request.auth);
-  log("DEBUG: sendNotificationByMobile called. request.data:", request.data);
-  if (!request.auth) {
-    log("DEBUG: Not authenticated!");
-    return {
-      success: false,
-      error: "Request not authenticated",
-    };
-  }
-
-  const {mobile, title, message, imageUrl, data} = request.data;
-  log("DEBUG: Extracted params", {mobile, title, message, imageUrl, data});
-
-  if (!mobile || !title || !message) {
-    log("DEBUG: Missing required fields", {mobile, title, message});
-    return {
-      success: false,
-      error: "Missing required fields",
-    };
-  }
-
-  try {
-    // Query Firestore for user with this mobile number
-    const usersRef = db.collection("users");
-    log("DEBUG: Querying users collection for mobile:", mobile);
-    const snapshot = await usersRef.where("mobile", "==", mobile).get();
-
-    if (snapshot.empty) {
-      log("DEBUG: No user found with this mobile number:", mobile);
-      return {
-        success: false,
-        error: "No user found with this mobile number",
-      };
-    }
+export const sendStatusUpdate = onCall(
+    {secrets: PUSH_SECRETS},
+    async (request) => {
+      log(
+          "DEBUG: sendNotificationByMobile called. request.auth:",
+          request.auth,
+      );
+      log(
+          "DEBUG: sendNotificationByMobile called. request.data:",
+          request.data,
+      );
+      const auth = requireAuth(request);
 
-    // Collect all tokens for all users with this mobile
-    const tokens = [];
-    snapshot.docs.forEach((doc) => {
-      const userData = doc.data();
-      log("DEBUG: User data for mobile:", mobile, {
-        hasFcmToken: !!userData.fcmToken,
-        hasFcmTokens: Array.isArray(userData.fcmTokens),
-        fcmTokensLength: Array.isArray(userData.fcmTokens) ?
-          userData.fcmTokens.length :
-          0,
+      const {
+        mobile,
+        title,
+        message,
+        templateId,
+        variables,
+        repairId,
+        imageUrl,
+        data,
+        businessId,
+      } = validateRequest(request, SEND_STATUS_UPDATE_SCHEMA);
+      log("DEBUG: Extracted params", {
+        mobile,
+        title,
+        message,
+        templateId,
+        imageUrl,
+        data,
+        businessId,
       });
-      if (Array.isArray(userData.fcmTokens)) {
-        userData.fcmTokens.forEach((token) => {
-          if (typeof token === "string" && token.length > 0) {
-            tokens.push(token);
-          }
-        });
-      } else if (userData.fcmToken) {
-        tokens.push(userData.fcmToken);
-      }
-    });
-
-    log("DEBUG: Tokens found for mobile:", tokens);
 
-    // Split tokens into FCM and APNs tokens
-    const fcmTokens = tokens.filter((t) => !isApnsToken(t));
-    const apnsTokens = tokens.filter(isApnsToken);
+      assertHasContent({title, message, templateId});
 
-    if (fcmTokens.length === 0 && apnsTokens.length === 0) {
-      log("DEBUG: No FCM or APNs tokens found for this user:", mobile);
-      return {
-        success: false,
-        error: "No FCM or APNs tokens found for this user",
-      };
-    }
+      const customerMobile = normalizePhone(
+          mobile,
+          await getStoreCountry(businessId),
+      );
+      if (!customerMobile) {
+        throw fieldError("mobile", "is not a valid phone number", "format");
+      }
 
-    // Prepare notification payload (for FCM)
-    const payload = {
-      notification: {
-        title: title,
-        body: message,
-        ...(imageUrl && {imageUrl: imageUrl}),
-      },
-      android: {
-        priority: "high",
-        notification: {
-          sound: "default",
-          priority: "high",
-        },
-      },
-      apns: {
-        payload: {
-          aps: {sound: "default", ...(imageUrl && {"mutable-content": 1})},
-          ...(imageUrl && {fcm_options: {image: imageUrl}}),
-        },
-      },
-      data: data || {},
-    };
-    log("DEBUG: Notification payload:", payload);
+      // Only staff of a store that serves this customer may notify them
+      const caller = await getCallerContext(auth.uid);
+      const notifiedBusinessId = await assertCanNotifyCustomer(
+          caller,
+          customerMobile,
+          businessId,
+      );
 
-    // Send FCM notifications in batches (FCM limit is 500 tokens per request)
-    const batchSize = 500;
-    const results = [];
-    let totalSuccess = 0;
-    let totalFailure = 0;
+      let templated = {};
+      if (templateId) {
+        const repair = await findCustomerRepair(
+            customerMobile,
+            notifiedBusinessId,
+            repairId,
+        );
+        templated = {
+          template: await loadTemplate(templateId, notifiedBusinessId),
+          variables: normalizeTemplateVariables(variables),
+          repair,
+          store: await createStoreLoader()(
+              repair?.storeId || notifiedBusinessId,
+          ),
+        };
+      }
 
-    for (let i = 0; i < fcmTokens.length; i += batchSize) {
-      const batch = fcmTokens.slice(i, i + batchSize);
+      let result;
       try {
-        const multicastMessage = {tokens: batch, ...payload};
-        const response = await getMessaging().sendEachForMulticast(
-            multicastMessage,
+        result = await sendToMobile(
+            customerMobile,
+            {title, message, ...templated, imageUrl, data},
+            {
+              senderUid: auth.uid,
+              businessId: notifiedBusinessId,
+              repairId: templated.repair?.id || repairId || null,
+            },
         );
-        results.push({
-          batch: Math.floor(i / batchSize) + 1,
-          type: "FCM",
-          successCount: response.successCount,
-          failureCount: response.failureCount,
-          responses: response.responses,
-        });
-        totalSuccess += response.successCount;
-        totalFailure += response.failureCount;
-        log("DEBUG: FCM batch sent", {
-          batch: Math.floor(i / batchSize) + 1,
-          successCount: response.successCount,
-          failureCount: response.failureCount,
-        });
       } catch (error) {
-        log("DEBUG: Error sending FCM batch:", error.message);
-        results.push({
-          batch: Math.floor(i / batchSize) + 1,
-          type: "FCM",
-          error: error.message,
-        });
+        throw toHttpsError(error, "sendStatusUpdate");
       }
-    }
 
-    // Send APNs notifications if there are APNs tokens
-    if (apnsTokens.length > 0) {
-      log("DEBUG: Sending APNs notifications", {
-        apnsTokenCount: apnsTokens.length,
-        title,
-        message,
-        imageUrl,
-        data,
-      });
-      // APNs provider setup (replace with your credentials)
-      const apnProvider = new apn.Provider({
-        token: {
-          key: "./AuthKey_G3U784978F.p8",
-          keyId: "G3U784978F",
-          teamId: "PWZNNKGGN3",
-        },
-        production: true,
-      });
-      const apnNotification = new apn.Notification();
-      apnNotification.alert = {title, body: message};
-      apnNotification.sound = "default";
-      apnNotification.topic = "com.ankit.aman.Fixisy";
-      if (imageUrl) {
-        apnNotification.mutableContent = 1;
-        apnNotification.aps = {"mutable-content": 1};
-        apnNotification.payload = {
-          ...(apnNotification.payload || {}),
-          imageUrl,
-        };
-      }
-      if (data) {
-        apnNotification.payload = {
-          ...(apnNotification.payload || {}),
-          ...data,
-        };
-      }
-      // Send APNs notifications in batches (max 1000 per batch is safe)
-      for (let i = 0; i < apnsTokens.length; i += 1000) {
-        const batch = apnsTokens.slice(i, i + 1000);
-        log("DEBUG: Sending APNs batch", {
-          batchNumber: Math.floor(i / 1000) + 1,
-          batchSize: batch.length,
-          notificationPayload: apnNotification,
-        });
-        try {
-          const response = await apnProvider.send(apnNotification, batch);
-          log("DEBUG: APNs batch response", {
-            batchNumber: Math.floor(i / 1000) + 1,
-            sent: response.sent.length,
-            failed: response.failed.length,
-            failedDetails: response.failed,
-          });
-          if (response.failed && response.failed.length > 0) {
-            response.failed.forEach((fail, idx) => {
-              log("APNs failure detail", {
-                batch: Math.floor(i / 1000) + 1,
-                index: idx,
-                device: fail.device,
-                status: fail.status,
-                response: fail.response,
-                error: fail.error,
-                full: JSON.stringify(fail),
-              });
-            });
-          }
-          results.push({
-            batch: Math.floor(i / 1000) + 1,
-            type: "APNs",
-            sent: response.sent.length,
-            failed: response.failed.length,
-            details: response.failed,
-          });
-          totalSuccess += response.sent.length;
-          totalFailure += response.failed.length;
-        } catch (error) {
-          log("DEBUG: Error sending APNs batch:", error.message);
-          results.push({
-            batch: Math.floor(i / 1000) + 1,
-            type: "APNs",
-            error: error.message,
-          });
-        }
+      // Nothing was attempted: no customer account or no registered device
+      if (!result.success) {
+        throw new HttpsError(
+            result.reason === "customer_not_found" ?
+              "not-found" :
+              "failed-precondition",
+            result.error,
+            {reason: result.reason, notificationId: result.notificationId},
+        );
       }
-      apnProvider.shutdown();
-    }
-
-    log("DEBUG: Notification sent. Summary:", {
-      totalTokens: tokens.length,
-      totalSuccess,
-      totalFailure,
-      results,
+      return result;
     });
 
-    return {
-      success: true,
-      message:
-        `Notification sent to ${totalSuccess} devices` +
-        (apnsTokens.length > 0 ? " (includes APNs)" : ""),
-      totalTokens: tokens.length,
-      totalSuccess,
-      totalFailure,
-      results,
-    };
-  } catch (error) {
-    log("DEBUG: Error in sendNotificationByMobile:", error.message, error);
-    return {
-      success: false,
-      error: error.message || "Failed to send notification",
-      details: error.stack,
-    };
-  }
-});
+const ASSIGN_STAFF_SCHEMA = {
+  staffUid: REQUIRED_ID,
+  storeId: REQUIRED_ID,
+  permissions: PERMISSIONS,
+  roleTemplateId: ID,
+};
 
 export const assignStaffToStore = onCall(async (request) => {
   log("DEBUG: request.auth:", request.auth);
   log("DEBUG: request.data:", request.data);
-  if (!request.auth) {
-    throw new HttpsError("unauthenticated", "Request not authenticated", {
-      auth: request.auth,
-    });
-  }
+  const auth = requireAuth(request);
 
-  const {staffUid, storeId, permissions} = request.data;
+  const {staffUid, storeId, roleTemplateId, ...data} = validateRequest(
+      request,
+      ASSIGN_STAFF_SCHEMA,
+  );
 
   log("DEBUG: Assigning staff to store:", {
     staffUid,
     storeId,
-    permissions,
+    permissions: data.permissions,
+    roleTemplateId,
   });
 
-  try {
-    // 1. Get current staff profile
-    const staffRef = db.collection("users").doc(staffUid);
-    const staffDoc = await staffRef.get();
-
-    if (!staffDoc.exists) {
-      throw new HttpsError("not-found", "Staff user not found");
-    }
-
-    const staffData = staffDoc.data();
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, storeId);
+  const permissions = await resolvePermissions(storeId, {
+    permissions: data.permissions,
+    roleTemplateId,
+  });
 
-    // 2. Check if staff is already assigned to this store
-    const currentAssignedStores = staffData.assignedStores || [];
-    const existingAssignment = currentAssignedStores.find(
-        (assignment) => assignment.storeId === storeId,
-    );
+  const staffRef = db.collection("users").doc(staffUid);
+  const staffDoc = await staffRef.get();
+  if (!staffDoc.exists) {
+    throw new HttpsError("not-found", "Staff user not found", {
+      reason: "staff_not_found",
+    });
+  }
+  const staffData = staffDoc.data();
+  assertCanManageStaff(caller, staffUid, staffData);
 
-    if (existingAssignment) {
-      // Update existing assignment
-      const updatedAssignedStores = currentAssignedStores.map((assignment) =>
-        assignment.storeId === storeId ?
-          {...assignment, permissions, isActive: true} :
-          assignment,
+  try {
+    // Add or refresh the assignment; the active store and permissions
+    // follow the same rule as every other staff write
+    const active = await updateAssignedStores(staffRef, (assignedStores) => {
+      const existingAssignment = assignedStores.some(
+          (assignment) => assignment.storeId === storeId,
       );
+      return existingAssignment ?
+        assignedStores.map((assignment) =>
+          assignment.storeId === storeId ?
+            {...assignment, permissions, isActive: true} :
+            assignment,
+        ) :
+        [...assignedStores, {storeId, permissions, isActive: true}];
+    });
 
-      await staffRef.update({
-        assignedStores: updatedAssignedStores,
-        updatedAt: FieldValue.serverTimestamp(),
-      });
-
-      log("DEBUG: Updated existing staff assignment:", {
-        staffUid,
-        storeId,
-        permissions,
-      });
-    } else {
-      // Add new assignment
-      const newAssignment = {
-        storeId,
-        permissions,
-        isActive: true,
-      };
-
-      await staffRef.update({
-        assignedStores: FieldValue.arrayUnion(newAssignment),
-        updatedAt: FieldValue.serverTimestamp(),
-      });
-
-      log("DEBUG: Added new staff assignment:", {
+    log("DEBUG: Saved staff assignment:", {
+      staffUid,
+      storeId,
+      activeStoreId: active.activeStoreId,
+    });
+    await recordStaffAudit(
+        auth.uid,
+        "staff.assign",
         staffUid,
-        storeId,
-        permissions,
-      });
-    }
+        active.before,
+        {...active.before, ...active},
+        {storeId, roleTemplateId: roleTemplateId || null},
+    );
 
-    return {success: true};
+    return {
+      success: true,
+      activeStoreId: active.activeStoreId,
+      permissions: active.permissions,
+    };
   } catch (error) {
-    log("DEBUG: Error in assignStaffToStore:", error.message);
-    throw new HttpsError("internal", error.message);
+    throw toHttpsError(error, "assignStaffToStore");
   }
 });
 
+const REMOVE_STAFF_SCHEMA = {
+  staffUid: REQUIRED_ID,
+  storeId: REQUIRED_ID,
+};
+
 export const removeStaffFromStore = onCall(async (request) => {
   log("DEBUG: request.auth:", request.auth);
   log("DEBUG: request.data:", request.data);
-  if (!request.auth) {
-    throw new HttpsError("unauthenticated", "Request not authenticated", {
-      auth: request.auth,
-    });
-  }
+  const auth = requireAuth(request);
 
-  const {staffUid, storeId} = request.data;
+  const {staffUid, storeId} = validateRequest(request, REMOVE_STAFF_SCHEMA);
 
   log("DEBUG: Removing staff from store:", {
     staffUid,
     storeId,
   });
 
-  try {
-    // 1. Get current staff profile
-    const staffRef = db.collection("users").doc(staffUid);
-    const staffDoc = await staffRef.get();
-
-    if (!staffDoc.exists) {
-      throw new HttpsError("not-found", "Staff user not found");
-    }
-
-    const staffData = staffDoc.data();
-    const currentAssignedStores = staffData.assignedStores || [];
-
-    // 2. Remove the store assignment
-    const updatedAssignedStores = currentAssignedStores.filter(
-        (assignment) => assignment.storeId !== storeId,
-    );
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, storeId);
 
-    // 3. Update staff profile
-    await staffRef.update({
-      assignedStores: updatedAssignedStores,
-      updatedAt: FieldValue.serverTimestamp(),
+  const staffRef = db.collection("users").doc(staffUid);
+  const staffDoc = await staffRef.get();
+  if (!staffDoc.exists) {
+    throw new HttpsError("not-found", "Staff user not found", {
+      reason: "staff_not_found",
     });
+  }
+  const staffData = staffDoc.data();
+  assertCanManageStaff(caller, staffUid, staffData);
 
-    // 4. If this was the active store, switch to another store
-    if (
-      staffData.activeStoreId === storeId &&
-      updatedAssignedStores.length > 0
-    ) {
-      await staffRef.update({
-        activeStoreId: updatedAssignedStores[0].storeId,
-      });
-    }
+  try {
+    // Removing the active store moves the staff member to their next
+    // active store, or leaves them without one
+    const active = await updateAssignedStores(staffRef, (assignedStores) =>
+      assignedStores.filter((assignment) => assignment.storeId !== storeId),
+    );
 
     log("DEBUG: Removed staff from store:", {
       staffUid,
       storeId,
-      remainingStores: updatedAssignedStores.length,
+      remainingStores: active.assignedStores.length,
+      activeStoreId: active.activeStoreId,
     });
+    await recordStaffAudit(
+        auth.uid,
+        "staff.remove",
+        staffUid,
+        active.before,
+        {...active.before, ...active},
+        {storeId},
+    );
 
-    return {success: true};
+    return {
+      success: true,
+      activeStoreId: active.activeStoreId,
+      permissions: active.permissions,
+    };
   } catch (error) {
-    log("DEBUG: Error in removeStaffFromStore:", error.message);
-    throw new HttpsError("internal", error.message);
+    throw toHttpsError(error, "removeStaffFromStore");
   }
 });
 
 export const signOutFromAllDevices = onCall(async (request) => {
-  if (!request.auth) {
-    return {success: false, error: "Request not authenticated"};
-  }
+  const {uid} = requireAuth(request);
 
-  const uid = request.auth.uid;
   try {
     await getAuth().revokeRefreshTokens(uid);
+
+    const userDoc = await db.collection("users").doc(uid).get();
+    await recordAudit({
+      actorUid: uid,
+      action: "sessions.revoke",
+      storeIds: userDoc.exists ? [...getStaffStoreIds(userDoc.data())] : [],
+      target: {type: "user", id: uid},
+    });
     return {success: true, message: "User signed out from all devices."};
   } catch (error) {
-    log("signOutFromAllDevices error:", error.message || error);
-    return {
-      success: false,
-      error: error.message || "Failed to sign out from all devices.",
-    };
+    throw toHttpsError(error, "signOutFromAllDevices");
   }
 });
+
+export {
+  onRepairStatusChange,
+  getStatusNotificationSettings,
+  updateStatusNotificationSettings,
+} from "./src/repairStatus.js";
+
+export {
+  listNotifications,
+  getNotification,
+} from "./src/notificationHistory.js";
+
+export {
+  dispatchScheduledBroadcasts,
+  listScheduledBroadcasts,
+  updateScheduledBroadcast,
+  cancelScheduledBroadcast,
+} from "./src/scheduledBroadcasts.js";
+
+export {
+  getMyNotificationPreferences,
+  updateMyNotificationPreferences,
+} from "./src/preferences.js";
+
+export {dispatchDeferredNotifications} from "./src/deferredNotifications.js";
+
+export {
+  listNotificationTemplates,
+  createNotificationTemplate,
+  updateNotificationTemplate,
+  deleteNotificationTemplate,
+} from "./src/templates.js";
+
+export {
+  getBroadcastQuota,
+  setBroadcastLimits,
+} from "./src/quotas.js";
+
+export {
+  registerApnsToken,
+  registerDevice,
+  unregisterDevice,
+  onLegacyPushTokens,
+  migrateDeviceTokens,
+} from "./src/devices.js";
+
+export {
+  onRepairCustomerIndex,
+  onUserCustomerIndex,
+  rebuildCustomerIndex,
+} from "./src/customerIndex.js";
+
+export {broadcastBatchWorker} from "./src/broadcast.js";
+
+export {
+  deactivateStaffUser,
+  reactivateStaffUser,
+} from "./src/staffLifecycle.js";
+
+export {onUserAccessChange, refreshCustomClaims} from "./src/claims.js";
+
+export {setActiveStore} from "./src/activeStore.js";
+
+export {importStaffUsers, exportStaffUsers} from "./src/staffImport.js";
+
+export {migrateLegacyStaff} from "./src/legacyStaff.js";
+
+export {
+  createStaffInvitation,
+  listStaffInvitations,
+  resendStaffInvitation,
+  revokeStaffInvitation,
+  acceptStaffInvitation,
+} from "./src/invitations.js";
+
+export {
+  listPermissions,
+  createRoleTemplate,
+  updateRoleTemplate,
+  deleteRoleTemplate,
+} from "./src/roleTemplates.js";
+
+export {listAuditLog} from "./src/audit.js";
+
+export {
+  listMyRepairs,
+  getMyRepair,
+  createRepairTrackingLink,
+  trackRepair,
+} from "./src/repairTracking.js";
+
+export {
+  onRepairPhoneChange,
+  onUserPhoneChange,
+  setStorePhoneCountry,
+  backfillPhoneNumbers,
+} from "./src/phone.js";
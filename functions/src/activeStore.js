@@ -0,0 +1,141 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth} from "./authz.js";
+import {recordStaffAudit} from "./audit.js";
+import {toHttpsError} from "./errors.js";
+import {REQUIRED_ID, validateRequest} from "./validation.js";
+
+/**
+ * The rule every staff write follows: the active store must be an active
+ * assignment (the preferred one if it still is, otherwise the first) and
+ * the profile's `permissions` are that assignment's permissions. Without an
+ * active assignment there is no active store and no permissions.
+ * @param {object[]} assignedStores
+ * @param {string|null} [preferredStoreId] Usually the current activeStoreId
+ * @return {object} `{activeStoreId, permissions}`
+ */
+export function resolveActiveStore(assignedStores, preferredStoreId = null) {
+  const activeAssignments = (assignedStores || []).filter(
+      (assignment) => assignment?.storeId && assignment.isActive !== false,
+  );
+  const activeAssignment =
+    activeAssignments.find(
+        (assignment) => assignment.storeId === preferredStoreId,
+    ) || activeAssignments[0];
+
+  if (!activeAssignment) {
+    return {activeStoreId: null, permissions: []};
+  }
+  return {
+    activeStoreId: activeAssignment.storeId,
+    permissions: activeAssignment.permissions || [],
+  };
+}
+
+/**
+ * The ids of the stores in `assignedStores`, active or not. Profiles keep
+ * them as `assignedStoreIds` so a store's staff can be queried.
+ * @param {object[]} assignedStores
+ * @return {string[]}
+ */
+export function getAssignedStoreIds(assignedStores) {
+  const storeIds = (assignedStores || [])
+      .map((assignment) => assignment?.storeId)
+      .filter(Boolean);
+  return Array.from(new Set(storeIds)).sort();
+}
+
+/**
+ * Changes a staff profile's `assignedStores` in a transaction, keeping
+ * `assignedStoreIds`, `activeStoreId` and `permissions` coherent with the
+ * result.
+ * @param {object} staffRef
+ * @param {function(object[], object): object[]} change Gets the current
+ *   assignments and profile, returns the new assignments
+ * @param {object} [updates] Other profile fields to write with them
+ * @return {Promise<object>} `{assignedStores, activeStoreId, permissions,
+ *   before}` where `before` is the profile as it was
+ */
+export async function updateAssignedStores(staffRef, change, updates = {}) {
+  return db.runTransaction(async (transaction) => {
+    const staffDoc = await transaction.get(staffRef);
+    if (!staffDoc.exists) {
+      throw new HttpsError("not-found", "Staff user not found", {
+        reason: "staff_not_found",
+      });
+    }
+    const staffData = staffDoc.data();
+    const assignedStores = change(staffData.assignedStores || [], staffData);
+    const active = resolveActiveStore(
+        assignedStores,
+        staffData.activeStoreId,
+    );
+
+    transaction.update(staffRef, {
+      ...updates,
+      assignedStores,
+      assignedStoreIds: getAssignedStoreIds(assignedStores),
+      ...active,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return {assignedStores, ...active, before: staffData};
+  });
+}
+
+/**
+ * Switches the store the caller works in. The store must be one of their
+ * active assignments; their permissions become that store's permissions.
+ */
+export const setActiveStore = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {storeId} = validateRequest(request, {storeId: REQUIRED_ID});
+
+  const userRef = db.collection("users").doc(auth.uid);
+  try {
+    let before = null;
+    const active = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        throw new HttpsError("not-found", "User profile not found", {
+          reason: "user_not_found",
+        });
+      }
+      const userData = userDoc.data();
+      before = userData;
+      const assignment = (userData.assignedStores || []).find(
+          (candidate) => candidate?.storeId === storeId,
+      );
+      if (!assignment || assignment.isActive === false) {
+        throw new HttpsError(
+            "permission-denied",
+            "You are not actively assigned to this store",
+            {reason: "store_not_assigned", storeId},
+        );
+      }
+
+      const resolved = resolveActiveStore(userData.assignedStores, storeId);
+      transaction.update(userRef, {
+        ...resolved,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return resolved;
+    });
+
+    log("DEBUG: Active store changed:", {uid: auth.uid, ...active});
+    await recordStaffAudit(
+        auth.uid,
+        "staff.set_active_store",
+        auth.uid,
+        before,
+        {...before, ...active},
+        {storeId},
+    );
+    return {success: true, ...active};
+  } catch (error) {
+    throw toHttpsError(error, "setActiveStore");
+  }
+});
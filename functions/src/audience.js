@@ -0,0 +1,251 @@
+import {log} from "firebase-functions/logger";
+import {normalizeStatus} from "./repairStatus.js";
+import {getStoreCountry, normalizePhone} from "./phone.js";
+import {customersOf, getLatestIndexedRepair} from "./customerIndex.js";
+import {parseDateTime} from "./time.js";
+import {fieldError} from "./validation.js";
+
+const PLATFORMS = ["fcm", "apns"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks that a filter value is an array of non-empty strings.
+ * @param {*} value
+ * @param {string} name
+ * @return {string[]|null}
+ */
+function optionalStringList(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (
+    !Array.isArray(value) ||
+    value.some((item) => typeof item !== "string" || item.length === 0)
+  ) {
+    throw fieldError(
+        `audience.${name}`,
+        "must be an array of non-empty strings",
+        "type",
+    );
+  }
+  return value;
+}
+
+/**
+ * Validates broadcast audience filters. Dates stay in their stored form so a
+ * scheduled broadcast re-evaluates `lastDays` when it is dispatched.
+ * @param {object} [audience]
+ * @param {string[]} [audience.storeIds] Only repairs at these stores
+ * @param {string[]} [audience.statuses] Only repairs in these statuses
+ * @param {string|number} [audience.repairDateFrom] Repairs created from
+ * @param {string|number} [audience.repairDateTo] Repairs created until
+ * @param {number} [audience.lastDays] Repairs created in the last N days
+ * @param {string[]} [audience.platforms] "fcm" and/or "apns"
+ * @param {string[]} [audience.includeMobiles] Customers always included
+ * @param {string[]} [audience.excludeMobiles] Customers never included
+ * @return {object|null} The filters, or null for "every customer"
+ */
+export function normalizeAudienceFilters(audience) {
+  if (audience === undefined || audience === null) {
+    return null;
+  }
+  if (typeof audience !== "object" || Array.isArray(audience)) {
+    throw fieldError("audience", "must be an object", "type");
+  }
+
+  const filters = {
+    storeIds: optionalStringList(audience.storeIds, "storeIds"),
+    statuses: optionalStringList(audience.statuses, "statuses"),
+    platforms: optionalStringList(audience.platforms, "platforms"),
+    includeMobiles: optionalStringList(
+        audience.includeMobiles,
+        "includeMobiles",
+    ),
+    excludeMobiles: optionalStringList(
+        audience.excludeMobiles,
+        "excludeMobiles",
+    ),
+    repairDateFrom: null,
+    repairDateTo: null,
+    lastDays: null,
+  };
+
+  if (filters.statuses) {
+    filters.statuses = filters.statuses.map(normalizeStatus);
+  }
+  if (filters.platforms) {
+    filters.platforms = filters.platforms.map((platform) =>
+      platform.toLowerCase(),
+    );
+    const unknown = filters.platforms.find((p) => !PLATFORMS.includes(p));
+    if (unknown) {
+      throw fieldError(
+          "audience.platforms",
+          `must only contain: ${PLATFORMS.join(", ")}`,
+          "enum",
+      );
+    }
+  }
+
+  ["repairDateFrom", "repairDateTo"].forEach((field) => {
+    if (audience[field] === undefined || audience[field] === null) {
+      return;
+    }
+    if (!parseDateTime(audience[field])) {
+      throw fieldError(
+          `audience.${field}`,
+          "must be an ISO date-time or epoch milliseconds",
+          "format",
+      );
+    }
+    filters[field] = audience[field];
+  });
+
+  if (audience.lastDays !== undefined && audience.lastDays !== null) {
+    if (!Number.isInteger(audience.lastDays) || audience.lastDays <= 0) {
+      throw fieldError("audience.lastDays", "must be a positive integer");
+    }
+    filters.lastDays = audience.lastDays;
+  }
+
+  return filters;
+}
+
+/**
+ * Milliseconds of a Firestore Timestamp, 0 when missing.
+ * @param {object} [timestamp]
+ * @return {number}
+ */
+function toMillis(timestamp) {
+  return timestamp?.toMillis ? timestamp.toMillis() : 0;
+}
+
+/**
+ * Whether a repair matches the store, status and date filters.
+ * @param {object} repairData
+ * @param {object} filters
+ * @param {number|null} fromMs
+ * @param {number|null} toMs
+ * @return {boolean}
+ */
+function repairMatches(repairData, filters, fromMs, toMs) {
+  if (filters.storeIds && !filters.storeIds.includes(repairData.storeId)) {
+    return false;
+  }
+  if (
+    filters.statuses &&
+    !filters.statuses.includes(normalizeStatus(repairData.status))
+  ) {
+    return false;
+  }
+  if (fromMs !== null || toMs !== null) {
+    const createdAt = toMillis(repairData.createdAt) || null;
+    if (createdAt === null) {
+      return false;
+    }
+    if (fromMs !== null && createdAt < fromMs) {
+      return false;
+    }
+    if (toMs !== null && createdAt > toMs) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns the registered devices of a customer that match the platform
+ * filter ("fcm" or "apns", the device's `tokenType`).
+ * @param {object[]} devices
+ * @param {object|null} filters Result of `normalizeAudienceFilters`
+ * @return {object[]}
+ */
+export function selectAudienceDevices(devices, filters) {
+  return devices.filter(
+      (device) =>
+        !filters?.platforms || filters.platforms.includes(device.tokenType),
+  );
+}
+
+/**
+ * Resolves the customers a broadcast reaches from the business's customer
+ * index: every customer with a repair there that matches the filters, and
+ * their app accounts. One query regardless of the number of repairs;
+ * profiles and devices are left to the workers that send. Included or
+ * excluded mobiles are normalized for the business's country.
+ * @param {string} businessId
+ * @param {object|null} filters Result of `normalizeAudienceFilters`
+ * @return {Promise<object>} `{mobiles, customers}` where each customer is
+ *   `{uid, mobile, repair}` and `repair` is their latest indexed repair
+ */
+export async function resolveBroadcastAudience(businessId, filters) {
+  const activeFilters = filters || {};
+  const now = Date.now();
+  const lowerBounds = [
+    activeFilters.repairDateFrom ?
+      parseDateTime(activeFilters.repairDateFrom).getTime() :
+      null,
+    activeFilters.lastDays ? now - activeFilters.lastDays * DAY_MS : null,
+  ].filter((value) => value !== null);
+  const fromMs = lowerBounds.length > 0 ? Math.max(...lowerBounds) : null;
+  const toMs = activeFilters.repairDateTo ?
+    parseDateTime(activeFilters.repairDateTo).getTime() :
+    null;
+
+  const [customersSnapshot, country] = await Promise.all([
+    customersOf(businessId).get(),
+    getStoreCountry(businessId),
+  ]);
+
+  log(
+      "DEBUG: Found indexed customers for business:",
+      businessId,
+      "Count:",
+      customersSnapshot.size,
+  );
+
+  const businessCustomers = new Map();
+  const uniqueMobileNumbers = new Set();
+  customersSnapshot.forEach((doc) => {
+    const customer = doc.data();
+    businessCustomers.set(customer.mobile, customer);
+    const matches = Object.values(customer.repairs || {}).some((repair) =>
+      repairMatches(repair, activeFilters, fromMs, toMs),
+    );
+    if (matches) {
+      uniqueMobileNumbers.add(customer.mobile);
+    }
+  });
+
+  // Explicit includes are limited to customers of this business
+  (activeFilters.includeMobiles || []).forEach((value) => {
+    const mobile = normalizePhone(value, country);
+    if (businessCustomers.has(mobile)) {
+      uniqueMobileNumbers.add(mobile);
+    } else {
+      log("DEBUG: Ignoring included mobile without repairs:", value);
+    }
+  });
+  (activeFilters.excludeMobiles || []).forEach((value) => {
+    uniqueMobileNumbers.delete(normalizePhone(value, country));
+  });
+
+  const customers = [];
+  uniqueMobileNumbers.forEach((mobile) => {
+    const customer = businessCustomers.get(mobile);
+    const repair = getLatestIndexedRepair(customer);
+    (customer.uids || []).forEach((uid) => {
+      customers.push({uid, mobile, repair});
+    });
+  });
+
+  log("DEBUG: Broadcast audience resolved:", {
+    businessId,
+    mobiles: uniqueMobileNumbers.size,
+    customers: customers.length,
+  });
+  return {
+    mobiles: Array.from(uniqueMobileNumbers),
+    customers,
+  };
+}
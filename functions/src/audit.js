@@ -0,0 +1,326 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth, getCallerContext, getStaffStoreIds} from "./authz.js";
+import {toIsoString} from "./notificationHistory.js";
+import {parseDateTime} from "./time.js";
+import {toHttpsError} from "./errors.js";
+import {ID, REQUIRED_ID, fieldError, validateRequest} from "./validation.js";
+
+/**
+ * Actions recorded in the audit log.
+ */
+export const AUDIT_ACTIONS = [
+  "staff.create",
+  "staff.update",
+  "staff.delete",
+  "staff.deactivate",
+  "staff.reactivate",
+  "staff.assign",
+  "staff.remove",
+  "staff.set_active_store",
+  "staff.migrate",
+  "invitation.create",
+  "invitation.resend",
+  "invitation.revoke",
+  "invitation.accept",
+  "role_template.create",
+  "role_template.update",
+  "role_template.delete",
+  "broadcast.send",
+  "broadcast.schedule",
+  "broadcast.update",
+  "broadcast.cancel",
+  "sessions.revoke",
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * The access-related fields of a staff profile, as stored in audit
+ * entries.
+ * @param {object|null} staffData
+ * @return {object|null}
+ */
+export function pickStaffAccess(staffData) {
+  if (!staffData) {
+    return null;
+  }
+  return {
+    role: staffData.role || null,
+    active: staffData.active !== false,
+    activeStoreId: staffData.activeStoreId || null,
+    permissions: staffData.permissions || [],
+    assignedStores: (staffData.assignedStores || []).map((assignment) => ({
+      storeId: assignment.storeId,
+      permissions: assignment.permissions || [],
+      isActive: assignment.isActive !== false,
+    })),
+    businessId: staffData.businessId || null,
+  };
+}
+
+/**
+ * Permissions added and removed between two lists.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @return {object|null} `{added, removed}`, or null when nothing changed
+ */
+function diffPermissions(before, after) {
+  const added = after.filter((permission) => !before.includes(permission));
+  const removed = before.filter((permission) => !after.includes(permission));
+  return added.length || removed.length ? {added, removed} : null;
+}
+
+/**
+ * What changed in a staff member's store assignments and permissions.
+ * @param {object|null} before From `pickStaffAccess`
+ * @param {object|null} after From `pickStaffAccess`
+ * @return {object} `{storesAdded, storesRemoved, storesChanged,
+ *   permissions, activeStoreId, active}`, omitting what did not change
+ */
+export function diffStaffAccess(before, after) {
+  const beforeStores = new Map(
+      (before?.assignedStores || []).map((store) => [store.storeId, store]),
+  );
+  const afterStores = new Map(
+      (after?.assignedStores || []).map((store) => [store.storeId, store]),
+  );
+
+  const diff = {};
+  const storesAdded = [...afterStores.keys()].filter(
+      (storeId) => !beforeStores.has(storeId),
+  );
+  const storesRemoved = [...beforeStores.keys()].filter(
+      (storeId) => !afterStores.has(storeId),
+  );
+  const storesChanged = [];
+  afterStores.forEach((store, storeId) => {
+    const previous = beforeStores.get(storeId);
+    if (!previous) {
+      return;
+    }
+    const permissions = diffPermissions(
+        previous.permissions,
+        store.permissions,
+    );
+    if (permissions || previous.isActive !== store.isActive) {
+      storesChanged.push({
+        storeId,
+        permissions,
+        isActive: store.isActive,
+      });
+    }
+  });
+
+  if (storesAdded.length) {
+    diff.storesAdded = storesAdded;
+  }
+  if (storesRemoved.length) {
+    diff.storesRemoved = storesRemoved;
+  }
+  if (storesChanged.length) {
+    diff.storesChanged = storesChanged;
+  }
+  const permissions = diffPermissions(
+      before?.permissions || [],
+      after?.permissions || [],
+  );
+  if (permissions) {
+    diff.permissions = permissions;
+  }
+  if ((before?.activeStoreId || null) !== (after?.activeStoreId || null)) {
+    diff.activeStoreId = {
+      from: before?.activeStoreId || null,
+      to: after?.activeStoreId || null,
+    };
+  }
+  if (before && after && before.active !== after.active) {
+    diff.active = {from: before.active, to: after.active};
+  }
+  return diff;
+}
+
+/**
+ * Appends an entry to the audit log. Entries are only ever added, never
+ * updated. A failed write is logged rather than failing the action that
+ * already happened.
+ * @param {object} entry
+ * @param {string} entry.actorUid
+ * @param {string} entry.action One of `AUDIT_ACTIONS`
+ * @param {string[]} entry.storeIds Stores the action concerns
+ * @param {object} entry.target `{type, id}`
+ * @param {object} [entry.before] Staff access before (`pickStaffAccess`)
+ * @param {object} [entry.after] Staff access after (`pickStaffAccess`)
+ * @param {object} [entry.details] Anything else worth keeping
+ * @return {Promise<string|null>} Id of the entry
+ */
+export async function recordAudit({
+  actorUid,
+  action,
+  storeIds,
+  target,
+  before,
+  after,
+  details,
+}) {
+  const entry = {
+    actorUid,
+    action,
+    storeIds: Array.from(new Set((storeIds || []).filter(Boolean))),
+    target,
+    before: before || null,
+    after: after || null,
+    diff: before || after ? diffStaffAccess(before, after) : null,
+    details: details || null,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+  try {
+    const entryRef = await db.collection("auditLog").add(entry);
+    return entryRef.id;
+  } catch (error) {
+    log("DEBUG: Failed to record audit entry:", {
+      action,
+      target,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Audit entry for a change to a staff profile; the stores are those the
+ * staff member belonged to before or after.
+ * @param {string} actorUid
+ * @param {string} action
+ * @param {string} staffUid
+ * @param {object|null} beforeData Staff profile before
+ * @param {object|null} afterData Staff profile after
+ * @param {object} [details]
+ * @return {Promise<string|null>}
+ */
+export async function recordStaffAudit(
+    actorUid,
+    action,
+    staffUid,
+    beforeData,
+    afterData,
+    details,
+) {
+  return recordAudit({
+    actorUid,
+    action,
+    storeIds: [
+      ...getStaffStoreIds(beforeData || {}),
+      ...getStaffStoreIds(afterData || {}),
+    ],
+    target: {type: "staff", id: staffUid},
+    before: pickStaffAccess(beforeData),
+    after: pickStaffAccess(afterData),
+    details,
+  });
+}
+
+/**
+ * Parses a date range bound.
+ * @param {string|number|undefined} value
+ * @param {string} field
+ * @return {Timestamp|null}
+ */
+function parseBound(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const date = parseDateTime(value);
+  if (!date) {
+    throw fieldError(field, "must be an ISO date-time or epoch milliseconds");
+  }
+  return Timestamp.fromDate(date);
+}
+
+/**
+ * Shapes an audit entry for callable responses.
+ * @param {object} doc
+ * @return {object}
+ */
+function serializeAuditEntry(doc) {
+  const data = doc.data();
+  return {id: doc.id, ...data, createdAt: toIsoString(data.createdAt)};
+}
+
+/**
+ * Lists the audit log of a store, newest first, for its owner (or an
+ * admin). Filters by `actorUid`, `action` and a `from`/`to` date range;
+ * pages with `startAfter` set to the previous `nextCursor`.
+ */
+export const listAuditLog = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {storeId, actorUid, action, from, to, limit, startAfter} =
+    validateRequest(request, {
+      storeId: REQUIRED_ID,
+      actorUid: ID,
+      action: {type: "string", enum: AUDIT_ACTIONS},
+      from: {type: ["string", "integer"]},
+      to: {type: ["string", "integer"]},
+      limit: {type: "integer", min: 1, max: MAX_PAGE_SIZE},
+      startAfter: ID,
+    });
+  const fromBound = parseBound(from, "from");
+  const toBound = parseBound(to, "to");
+
+  const caller = await getCallerContext(auth.uid);
+  if (!caller.isAdmin && !caller.ownedStoreIds.has(storeId)) {
+    throw new HttpsError(
+        "permission-denied",
+        "Only the store owner can read its audit log",
+        {reason: "store_owner_required", storeId},
+    );
+  }
+
+  const pageSize = limit || DEFAULT_PAGE_SIZE;
+  let query = db
+      .collection("auditLog")
+      .where("storeIds", "array-contains", storeId);
+  if (actorUid) {
+    query = query.where("actorUid", "==", actorUid);
+  }
+  if (action) {
+    query = query.where("action", "==", action);
+  }
+  if (fromBound) {
+    query = query.where("createdAt", ">=", fromBound);
+  }
+  if (toBound) {
+    query = query.where("createdAt", "<=", toBound);
+  }
+  query = query.orderBy("createdAt", "desc").limit(pageSize + 1);
+
+  if (startAfter) {
+    const cursorDoc = await db.collection("auditLog").doc(startAfter).get();
+    if (
+      !cursorDoc.exists ||
+      !(cursorDoc.data().storeIds || []).includes(storeId)
+    ) {
+      throw fieldError("startAfter", "is not a valid cursor");
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  try {
+    const snapshot = await query.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    return {
+      success: true,
+      entries: docs.map(serializeAuditEntry),
+      nextCursor:
+        snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    throw toHttpsError(error, "listAuditLog");
+  }
+});
@@ -0,0 +1,272 @@
+import {HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {db} from "./firebase.js";
+
+/**
+ * Store-level permission that lets a staff member manage the store's staff
+ * and send broadcasts on its behalf.
+ */
+export const MANAGE_STAFF_PERMISSION = "manageStaff";
+
+/**
+ * Throws `unauthenticated` unless the callable request carries a signed-in
+ * user.
+ * @param {object} request
+ * @return {object} request.auth
+ */
+export function requireAuth(request) {
+  if (!request.auth) {
+    log("DEBUG: Not authenticated!");
+    throw new HttpsError("unauthenticated", "Request not authenticated", {
+      reason: "unauthenticated",
+    });
+  }
+  return request.auth;
+}
+
+/**
+ * Returns the store ids a staff profile is attached to, covering both the
+ * multi-store `assignedStores` array and the legacy `businessId` field.
+ * @param {object} staffData
+ * @return {Set<string>}
+ */
+export function getStaffStoreIds(staffData) {
+  const storeIds = new Set();
+  (staffData.assignedStores || []).forEach((assignment) => {
+    if (assignment && assignment.storeId) {
+      storeIds.add(assignment.storeId);
+    }
+  });
+  if (staffData.businessId) {
+    storeIds.add(staffData.businessId);
+  }
+  return storeIds;
+}
+
+/**
+ * Resolves who the caller is: their role, the stores they own and the
+ * stores they can manage or work in through active staff assignments.
+ * @param {string} uid
+ * @return {Promise<object>}
+ */
+export async function getCallerContext(uid) {
+  const [userDoc, ownedStoresSnapshot] = await Promise.all([
+    db.collection("users").doc(uid).get(),
+    db.collection("stores").where("ownerId", "==", uid).get(),
+  ]);
+
+  const profile = userDoc.exists ? userDoc.data() : {};
+  const role = profile.role || null;
+  const ownedStoreIds = new Set(ownedStoresSnapshot.docs.map((doc) => doc.id));
+  const managedStoreIds = new Set();
+  const memberStoreIds = new Set();
+
+  // Only active staff get store access through their assignments
+  if (role === "staff" && profile.active !== false) {
+    (profile.assignedStores || []).forEach((assignment) => {
+      if (!assignment || !assignment.storeId || assignment.isActive === false) {
+        return;
+      }
+      memberStoreIds.add(assignment.storeId);
+      if ((assignment.permissions || []).includes(MANAGE_STAFF_PERMISSION)) {
+        managedStoreIds.add(assignment.storeId);
+      }
+    });
+    if (profile.businessId) {
+      memberStoreIds.add(profile.businessId);
+      if ((profile.permissions || []).includes(MANAGE_STAFF_PERMISSION)) {
+        managedStoreIds.add(profile.businessId);
+      }
+    }
+  }
+
+  const caller = {
+    uid,
+    role,
+    profile,
+    isAdmin: role === "admin",
+    ownedStoreIds,
+    managedStoreIds,
+    memberStoreIds,
+  };
+
+  log("DEBUG: Resolved caller context:", {
+    uid,
+    role,
+    ownedStoreIds: Array.from(ownedStoreIds),
+    managedStoreIds: Array.from(managedStoreIds),
+    memberStoreIds: Array.from(memberStoreIds),
+  });
+
+  return caller;
+}
+
+/**
+ * Whether the caller may manage staff and broadcasts for a store.
+ * @param {object} caller
+ * @param {string} storeId
+ * @return {boolean}
+ */
+export function canManageStore(caller, storeId) {
+  return (
+    caller.isAdmin ||
+    caller.ownedStoreIds.has(storeId) ||
+    caller.managedStoreIds.has(storeId)
+  );
+}
+
+/**
+ * Whether the caller works in (or manages) a store.
+ * @param {object} caller
+ * @param {string} storeId
+ * @return {boolean}
+ */
+export function canAccessStore(caller, storeId) {
+  return canManageStore(caller, storeId) || caller.memberStoreIds.has(storeId);
+}
+
+/**
+ * Throws `permission-denied` unless the caller is a platform admin.
+ * @param {object} caller
+ */
+export function assertIsAdmin(caller) {
+  if (!caller.isAdmin) {
+    log("DEBUG: Permission denied, admin required:", {uid: caller.uid});
+    throw new HttpsError(
+        "permission-denied",
+        "Only platform admins can do this",
+        {reason: "admin_required"},
+    );
+  }
+}
+
+/**
+ * Throws `permission-denied` unless the caller can manage the store.
+ * @param {object} caller
+ * @param {string} storeId
+ */
+export function assertCanManageStore(caller, storeId) {
+  if (!storeId || !canManageStore(caller, storeId)) {
+    log("DEBUG: Permission denied to manage store:", {
+      uid: caller.uid,
+      storeId,
+    });
+    throw new HttpsError(
+        "permission-denied",
+        "You are not allowed to manage this store",
+        {reason: "store_manager_required", storeId: storeId || null},
+    );
+  }
+}
+
+/**
+ * Throws `permission-denied` unless the caller works in or manages the store.
+ * @param {object} caller
+ * @param {string} storeId
+ */
+export function assertCanAccessStore(caller, storeId) {
+  if (!storeId || !canAccessStore(caller, storeId)) {
+    log("DEBUG: Permission denied to access store:", {
+      uid: caller.uid,
+      storeId,
+    });
+    throw new HttpsError(
+        "permission-denied",
+        "You are not allowed to access this store",
+        {reason: "store_member_required", storeId: storeId || null},
+    );
+  }
+}
+
+/**
+ * Throws `permission-denied` unless the caller may act on the target staff
+ * member: the target must be a staff profile (not the caller themselves)
+ * and every store they belong to must be manageable by the caller.
+ * @param {object} caller
+ * @param {string} staffUid
+ * @param {object} staffData
+ */
+export function assertCanManageStaff(caller, staffUid, staffData) {
+  if (caller.isAdmin) {
+    return;
+  }
+
+  let reason = null;
+  if (staffData.role !== "staff") {
+    reason = "Target user is not a staff member";
+  } else if (staffUid === caller.uid) {
+    reason = "You cannot change your own staff profile";
+  } else {
+    const staffStoreIds = getStaffStoreIds(staffData);
+    if (staffStoreIds.size === 0) {
+      reason = "Staff member is not assigned to any of your stores";
+    } else {
+      for (const storeId of staffStoreIds) {
+        if (!canManageStore(caller, storeId)) {
+          reason = "Staff member belongs to a store you cannot manage";
+          break;
+        }
+      }
+    }
+  }
+
+  if (reason) {
+    log("DEBUG: Permission denied to manage staff:", {
+      uid: caller.uid,
+      staffUid,
+      reason,
+    });
+    throw new HttpsError("permission-denied", reason, {
+      reason: "staff_not_manageable",
+      staffUid,
+    });
+  }
+}
+
+/**
+ * Throws `permission-denied` unless the caller works in a store that serves
+ * the customer with this mobile number. When `businessId` is given, the
+ * caller must have access to that store and the customer must have a repair
+ * there.
+ * @param {object} caller
+ * @param {string} mobile E.164 number, matched to `customerMobileE164`
+ * @param {string} [businessId]
+ * @return {Promise<string|null>} The store the customer is notified for
+ */
+export async function assertCanNotifyCustomer(caller, mobile, businessId) {
+  if (caller.isAdmin) {
+    return businessId || null;
+  }
+
+  if (businessId && !canAccessStore(caller, businessId)) {
+    throw new HttpsError(
+        "permission-denied",
+        "You are not allowed to notify customers of this store",
+        {reason: "store_member_required", businessId},
+    );
+  }
+
+  let repairsQuery = db.collection("repairs")
+      .where("customerMobileE164", "==", mobile);
+  if (businessId) {
+    repairsQuery = repairsQuery.where("businessId", "==", businessId);
+  }
+  const repairsSnapshot = await repairsQuery.get();
+  const allowedRepair = repairsSnapshot.docs.find((doc) =>
+    canAccessStore(caller, doc.data().businessId),
+  );
+
+  if (!allowedRepair) {
+    log("DEBUG: Permission denied to notify customer:", {
+      uid: caller.uid,
+      mobile,
+      businessId: businessId || null,
+    });
+    throw new HttpsError(
+        "permission-denied",
+        "This customer has no repairs at a store you work in",
+        {reason: "customer_not_served"},
+    );
+  }
+  return allowedRepair.data().businessId;
+}
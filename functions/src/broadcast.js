@@ -0,0 +1,545 @@
+import {onTaskDispatched} from "firebase-functions/v2/tasks";
+import {log} from "firebase-functions/logger";
+import {getFunctions} from "firebase-admin/functions";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {PUSH_SECRETS, collectDevices, deliverEach} from "./push/index.js";
+import {
+  createNotificationJob,
+  getJobStatus,
+  recordDeliveries,
+  recordNotification,
+} from "./notificationHistory.js";
+import {resolveBroadcastAudience, selectAudienceDevices} from "./audience.js";
+import {loadUserDevices} from "./devices.js";
+import {evaluatePreferences} from "./preferences.js";
+import {deferNotifications} from "./deferredNotifications.js";
+import {consumeBroadcastQuota, releaseBroadcastQuota} from "./quotas.js";
+import {
+  buildTemplateVariables,
+  createStoreLoader,
+  getPreferredLocale,
+  loadTemplate,
+  pickVariant,
+  renderTemplate,
+} from "./templates.js";
+
+// Customers handled by one worker task
+const CUSTOMERS_PER_BATCH = 200;
+// Firestore allows at most 500 writes per batch
+const WRITE_BATCH_SIZE = 500;
+// Profiles read per `getAll` call
+const PROFILE_CHUNK_SIZE = 100;
+
+const WORKER_NAME = "broadcastBatchWorker";
+// Attempts of a batch task before the batch is marked failed
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Starts a broadcast to the customers of the business matching the
+ * audience filters. The audience comes from the customer index; the sends
+ * are split into batches of customers that `broadcastBatchWorker` tasks
+ * deliver, adding their counts to the notification record until its
+ * `status` leaves "sending". Returns as soon as the tasks are queued, with
+ * the notification id as the job id. Customers who opted out are skipped
+ * and customers in quiet hours get it when those end. With a template, the
+ * content is rendered per customer in their locale. Counts against the
+ * business's broadcast quota and throws `resource-exhausted` when it is
+ * used up. Authorization is the caller's responsibility.
+ * @param {object} broadcast
+ * @param {string} broadcast.businessId
+ * @param {string} [broadcast.title] Required without `templateId`
+ * @param {string} [broadcast.message] Required without `templateId`
+ * @param {string} [broadcast.templateId]
+ * @param {object} [broadcast.variables] Template variables
+ * @param {string} [broadcast.imageUrl]
+ * @param {object} [broadcast.data]
+ * @param {object|null} [broadcast.audience] From `normalizeAudienceFilters`
+ * @param {string} broadcast.senderUid
+ * @return {Promise<object>}
+ */
+export async function runBroadcast({
+  businessId,
+  title,
+  message,
+  templateId,
+  variables,
+  imageUrl,
+  data,
+  audience,
+  senderUid,
+}) {
+  const template = templateId ?
+    await loadTemplate(templateId, businessId) :
+    null;
+  const defaultVariant = template ? pickVariant(template, null) : null;
+  const history = {
+    kind: "broadcast",
+    senderUid,
+    businessId,
+    title: template ? defaultVariant.title : title,
+    body: template ? defaultVariant.message : message,
+    templateId: templateId || null,
+    variables: variables || null,
+    imageUrl,
+    data,
+    audience,
+  };
+
+  const {mobiles, customers} = await resolveBroadcastAudience(
+      businessId,
+      audience,
+  );
+  const audienceSize = mobiles.length;
+
+  if (audienceSize === 0) {
+    log("DEBUG: No customers found in repairs for business:", businessId);
+    const notificationId = await recordNotification({
+      ...history,
+      audienceSize: 0,
+      delivery: null,
+    });
+    return {
+      success: true,
+      notificationId,
+      status: "no_recipients",
+      message: "No customers found in repairs",
+      audienceSize,
+    };
+  }
+
+  // Without customer accounts nothing is sent, so no quota is used
+  if (customers.length === 0) {
+    log("DEBUG: No customer accounts found for business:", businessId);
+    const notificationId = await recordNotification({
+      ...history,
+      audienceSize,
+      delivery: null,
+    });
+    return {
+      success: true,
+      notificationId,
+      status: "no_recipients",
+      message: "No customers found with the app",
+      audienceSize,
+    };
+  }
+
+  const quota = await consumeBroadcastQuota(businessId, audienceSize);
+
+  const batches = [];
+  for (let i = 0; i < customers.length; i += CUSTOMERS_PER_BATCH) {
+    batches.push(customers.slice(i, i + CUSTOMERS_PER_BATCH));
+  }
+  let notificationRef = null;
+  let failedBatches = [];
+  try {
+    notificationRef = await createNotificationJob(
+        {...history, audienceSize},
+        {
+          customers: customers.length,
+          batches: batches.length,
+          completedBatches: 0,
+          failedBatches: 0,
+          completedAt: null,
+          quotaConsumedAt: quota.consumedAt,
+        },
+    );
+    for (let i = 0; i < batches.length; i += WRITE_BATCH_SIZE) {
+      const writeBatch = db.batch();
+      batches.slice(i, i + WRITE_BATCH_SIZE).forEach((batch, offset) => {
+        writeBatch.set(
+            notificationRef.collection("batches").doc(String(i + offset)),
+            {
+              customers: batch,
+              status: "pending",
+              createdAt: FieldValue.serverTimestamp(),
+            },
+        );
+      });
+      await writeBatch.commit();
+    }
+
+    // Some tasks may be queued when others fail, and those keep sending
+    const queue = getFunctions().taskQueue(WORKER_NAME);
+    const enqueued = await Promise.allSettled(
+        batches.map((batch, index) =>
+          queue.enqueue(
+              {notificationId: notificationRef.id, batchId: String(index)},
+              {id: `${notificationRef.id}-${index}`},
+          ),
+        ),
+    );
+    failedBatches = enqueued.flatMap((result, index) =>
+      result.status === "rejected" ? [{index, error: result.reason}] : [],
+    );
+    if (failedBatches.length === batches.length) {
+      throw failedBatches[0].error;
+    }
+  } catch (error) {
+    // Nothing was queued: the broadcast did not happen
+    await Promise.allSettled([
+      notificationRef?.update({
+        "status": "failed",
+        "job.error": error.message,
+        "job.completedAt": FieldValue.serverTimestamp(),
+      }),
+      releaseBroadcastQuota(businessId, quota.consumedAt),
+    ]);
+    throw error;
+  }
+
+  if (failedBatches.length > 0) {
+    log("DEBUG: Some broadcast batches could not be queued:", {
+      notificationId: notificationRef.id,
+      failedBatches: failedBatches.map(({index, error}) => ({
+        index,
+        error: error?.message,
+      })),
+    });
+    await failBroadcastBatches(notificationRef, failedBatches);
+  }
+
+  log("DEBUG: Broadcast queued:", {
+    notificationId: notificationRef.id,
+    audienceSize,
+    customers: customers.length,
+    batches: batches.length,
+    failedBatches: failedBatches.length,
+  });
+  return {
+    success: true,
+    jobId: notificationRef.id,
+    notificationId: notificationRef.id,
+    status: "sending",
+    message: `Broadcast to ${audienceSize} customers queued`,
+    audienceSize,
+    batches: batches.length,
+    failedBatches: failedBatches.length,
+    quota,
+  };
+}
+
+/**
+ * Reads customer profiles in chunks.
+ * @param {string[]} uids
+ * @return {Promise<Map<string, object>>} uid to profile, for existing ones
+ */
+async function loadProfiles(uids) {
+  const profiles = new Map();
+  for (let i = 0; i < uids.length; i += PROFILE_CHUNK_SIZE) {
+    const docs = await db.getAll(
+        ...uids
+            .slice(i, i + PROFILE_CHUNK_SIZE)
+            .map((uid) => db.collection("users").doc(uid)),
+    );
+    docs.forEach((doc) => {
+      if (doc.exists) {
+        profiles.set(doc.id, doc.data());
+      }
+    });
+  }
+  return profiles;
+}
+
+/**
+ * Sends one batch of a broadcast: applies each customer's preferences,
+ * renders the content and delivers it to their registered devices.
+ * @param {string} notificationId
+ * @param {string} batchId
+ * @param {object} broadcast Notification document data
+ * @param {object[]} customers `[{uid, mobile, repair}]`
+ * @return {Promise<object>} `{delivery, recipients, skipped, deferredCount}`
+ */
+async function sendBroadcastBatch(
+    notificationId,
+    batchId,
+    broadcast,
+    customers,
+) {
+  const {businessId, audience} = broadcast;
+  const template = broadcast.templateId ?
+    await loadTemplate(broadcast.templateId, businessId) :
+    null;
+  const uids = Array.from(new Set(customers.map(({uid}) => uid)));
+  const [profiles, userDevices] = await Promise.all([
+    loadProfiles(uids),
+    loadUserDevices(uids),
+  ]);
+
+  const now = new Date();
+  const loadStore = createStoreLoader();
+  const messages = new Map();
+  const recipients = new Map();
+  const devices = new Map();
+  const deferredEntries = [];
+  const skipped = {count: 0, reasons: {}};
+  for (const [index, {uid, mobile, repair}] of customers.entries()) {
+    const userData = profiles.get(uid);
+    if (!userData) {
+      continue;
+    }
+    const decision = evaluatePreferences(
+        userData,
+        {kind: "broadcast", businessId},
+        now,
+    );
+    if (decision.action === "skip") {
+      skipped.count += 1;
+      skipped.reasons[decision.reason] =
+        (skipped.reasons[decision.reason] || 0) + 1;
+      continue;
+    }
+
+    const content = template ?
+      renderTemplate(template, {
+        locale: getPreferredLocale(userData),
+        variables: buildTemplateVariables({
+          userData,
+          repair,
+          store: await loadStore(repair?.storeId || businessId),
+          variables: broadcast.variables,
+        }),
+      }) :
+      {title: broadcast.title, message: broadcast.body};
+
+    if (decision.action === "defer") {
+      // Keyed on the customer's place in the batch, so a retry does not
+      // queue them twice
+      deferredEntries.push({
+        id: `${notificationId}-${batchId}-${index}`,
+        notificationId,
+        kind: "broadcast",
+        senderUid: broadcast.senderUid,
+        businessId,
+        imageUrl: broadcast.imageUrl,
+        data: broadcast.data,
+        title: content.title,
+        body: content.message,
+        uid,
+        mobile,
+        platforms: audience?.platforms || null,
+        deliverAt: decision.deliverAt,
+      });
+      continue;
+    }
+
+    // Customers that read the same text share one send
+    const key = `${content.title}\n${content.message}`;
+    if (!messages.has(key)) {
+      messages.set(key, {
+        tokens: [],
+        notification: {
+          title: content.title,
+          body: content.message,
+          imageUrl: broadcast.imageUrl || undefined,
+          data: broadcast.data,
+        },
+      });
+    }
+    const selected = selectAudienceDevices(userDevices.get(uid), audience);
+    collectDevices(selected, devices);
+    selected.forEach(({token}) => {
+      messages.get(key).tokens.push(token);
+      recipients.set(token, {uid, mobile});
+    });
+  }
+
+  const deferredCount = await deferNotifications(deferredEntries);
+  const delivery = recipients.size > 0 ?
+    await deliverEach(Array.from(messages.values()), {devices}) :
+    null;
+  return {delivery, recipients, skipped, deferredCount};
+}
+
+/**
+ * Marks batches that could not be queued, or ran out of attempts, as
+ * failed, so the job settles once the others are done. When no batch was
+ * sent at all, the quota the broadcast used is given back.
+ * @param {object} notificationRef
+ * @param {object[]} failedBatches `[{index, error}]`
+ */
+async function failBroadcastBatches(notificationRef, failedBatches) {
+  const settled = await db.runTransaction(async (transaction) => {
+    const batchRefs = failedBatches.map(({index}) =>
+      notificationRef.collection("batches").doc(String(index)),
+    );
+    const [notificationDoc, ...batchDocs] = await Promise.all([
+      transaction.get(notificationRef),
+      ...batchRefs.map((batchRef) => transaction.get(batchRef)),
+    ]);
+    // A batch can only end once
+    const pending = failedBatches.filter(
+        (batch, i) => batchDocs[i].data().status === "pending",
+    );
+    const current = notificationDoc.data();
+    const job = {
+      ...current.job,
+      failedBatches: (current.job.failedBatches || 0) + pending.length,
+    };
+    pending.forEach(({index, error}) => {
+      transaction.update(
+          notificationRef.collection("batches").doc(String(index)),
+          {status: "failed", error: error?.message || null},
+      );
+    });
+    const jobStatus = getJobStatus(current, job);
+    transaction.update(notificationRef, {
+      "job.failedBatches": job.failedBatches,
+      ...jobStatus,
+    });
+    return {businessId: current.businessId, job, status: jobStatus.status};
+  });
+
+  if (
+    settled.status === "failed" &&
+    settled.job.completedBatches === 0 &&
+    settled.job.quotaConsumedAt
+  ) {
+    await releaseBroadcastQuota(
+        settled.businessId,
+        settled.job.quotaConsumedAt,
+    );
+  }
+}
+
+/**
+ * Marks a batch done and adds its counts to the notification, settling
+ * the notification's `status` once every batch is done.
+ * @param {object} notificationRef
+ * @param {object} batchRef
+ * @param {object} outcome Result of `sendBroadcastBatch`
+ * @return {Promise<object|null>} The notification's progress, or null if
+ *   the batch had already ended
+ */
+async function completeBroadcastBatch(notificationRef, batchRef, outcome) {
+  const {delivery, skipped, deferredCount} = outcome;
+  return db.runTransaction(async (transaction) => {
+    const [notificationDoc, batchDoc] = await Promise.all([
+      transaction.get(notificationRef),
+      transaction.get(batchRef),
+    ]);
+    if (batchDoc.data().status !== "pending") {
+      return null;
+    }
+
+    const current = notificationDoc.data();
+    const totals = {
+      totalTokens: current.totalTokens + (delivery?.totalTokens || 0),
+      successCount: current.successCount + (delivery?.totalSuccess || 0),
+      failureCount: current.failureCount + (delivery?.totalFailure || 0),
+    };
+    const job = {
+      ...current.job,
+      completedBatches: current.job.completedBatches + 1,
+    };
+    const jobStatus = getJobStatus(totals, job);
+
+    transaction.update(batchRef, {
+      status: "done",
+      totalTokens: delivery?.totalTokens || 0,
+      skippedCount: skipped.count,
+      deferredCount,
+      completedAt: FieldValue.serverTimestamp(),
+    });
+    transaction.update(notificationRef, {
+      ...totals,
+      "prunedCount": FieldValue.increment(delivery?.pruned?.count || 0),
+      "skippedCount": FieldValue.increment(skipped.count),
+      "deferredCount": FieldValue.increment(deferredCount),
+      "job.completedBatches": job.completedBatches,
+      ...jobStatus,
+    });
+    return {
+      completedBatches: job.completedBatches,
+      failedBatches: job.failedBatches || 0,
+      batches: job.batches,
+      status: jobStatus.status,
+    };
+  });
+}
+
+/**
+ * Task queue worker delivering one batch of a broadcast queued by
+ * `runBroadcast`. Tasks are retried on failure; a batch already marked
+ * done is not sent again, but one that failed halfway may reach some of
+ * its customers twice. The last attempt marks a batch that still fails
+ * as failed, so the broadcast settles.
+ */
+export const broadcastBatchWorker = onTaskDispatched(
+    {
+      secrets: PUSH_SECRETS,
+      timeoutSeconds: 300,
+      retryConfig: {maxAttempts: MAX_ATTEMPTS, minBackoffSeconds: 30},
+      rateLimits: {maxConcurrentDispatches: 10},
+    },
+    async (request) => {
+      const {notificationId, batchId} = request.data;
+      const notificationRef = db
+          .collection("notifications")
+          .doc(notificationId);
+      const batchRef = notificationRef.collection("batches").doc(batchId);
+      const [notificationDoc, batchDoc] = await Promise.all([
+        notificationRef.get(),
+        batchRef.get(),
+      ]);
+      if (
+        !notificationDoc.exists ||
+        !batchDoc.exists ||
+        batchDoc.data().status !== "pending"
+      ) {
+        log("DEBUG: Broadcast batch already handled:", {
+          notificationId,
+          batchId,
+        });
+        return;
+      }
+
+      let outcome;
+      let progress;
+      try {
+        outcome = await sendBroadcastBatch(
+            notificationId,
+            batchId,
+            notificationDoc.data(),
+            batchDoc.data().customers,
+        );
+        if (outcome.delivery) {
+          await recordDeliveries(
+              notificationRef,
+              outcome.delivery.results,
+              outcome.recipients,
+              batchId,
+          );
+        }
+        progress = await completeBroadcastBatch(
+            notificationRef,
+            batchRef,
+            outcome,
+        );
+      } catch (error) {
+        if (request.retryCount + 1 < MAX_ATTEMPTS) {
+          throw error;
+        }
+        log("DEBUG: Broadcast batch failed on its last attempt:", {
+          notificationId,
+          batchId,
+          error: error.message,
+        });
+        await failBroadcastBatches(notificationRef, [
+          {index: batchId, error},
+        ]);
+        return;
+      }
+
+      log("DEBUG: Broadcast batch sent:", {
+        notificationId,
+        batchId,
+        totalTokens: outcome.delivery?.totalTokens || 0,
+        totalSuccess: outcome.delivery?.totalSuccess || 0,
+        skipped: outcome.skipped.count,
+        deferredCount: outcome.deferredCount,
+        progress,
+      });
+    },
+);
@@ -0,0 +1,205 @@
+import {onCall} from "firebase-functions/v2/https";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {log} from "firebase-functions/logger";
+import {getAuth} from "firebase-admin/auth";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth, getCallerContext} from "./authz.js";
+import {loadManageableStaff} from "./staffLifecycle.js";
+import {toHttpsError} from "./errors.js";
+import {ID, validateRequest} from "./validation.js";
+
+// Firebase rejects custom claims whose JSON is larger than 1000 bytes
+const MAX_CLAIMS_BYTES = 1000;
+
+// Claims owned by this sync; any other custom claims are left alone
+const SYNCED_CLAIMS = ["role", "active", "activeStoreId", "stores", "partial"];
+
+/**
+ * The access a profile grants: role, active store and the permissions of
+ * every active store assignment (including the legacy `businessId`).
+ * Deactivated profiles grant no store access.
+ * @param {object|null} userData
+ * @return {object} `{role, active, activeStoreId, stores: {storeId: []}}`
+ */
+export function buildAccessClaims(userData) {
+  if (!userData) {
+    return {role: null, active: false, activeStoreId: null, stores: {}};
+  }
+  const active = userData.active !== false;
+  const stores = {};
+  if (active) {
+    (userData.assignedStores || []).forEach((assignment) => {
+      if (!assignment?.storeId || assignment.isActive === false) {
+        return;
+      }
+      stores[assignment.storeId] = [...(assignment.permissions || [])].sort();
+    });
+    if (userData.businessId && !stores[userData.businessId]) {
+      stores[userData.businessId] = [...(userData.permissions || [])].sort();
+    }
+  }
+  return {
+    role: userData.role || null,
+    active,
+    activeStoreId: userData.activeStoreId || null,
+    stores,
+  };
+}
+
+/**
+ * Fits access claims into the custom claims size limit. When they do not
+ * fit, permissions are kept for the active store only, then other stores
+ * are dropped; `partial: true` tells clients to read the profile instead.
+ * @param {object} access From `buildAccessClaims`
+ * @param {object} [otherClaims] Custom claims not managed by the sync
+ * @return {object}
+ */
+export function fitClaims(access, otherClaims = {}) {
+  const fits = (claims) =>
+    JSON.stringify({...otherClaims, ...claims}).length <= MAX_CLAIMS_BYTES;
+  if (fits(access)) {
+    return access;
+  }
+
+  const {activeStoreId, stores} = access;
+  const activeOnly = activeStoreId && stores[activeStoreId] ?
+    {[activeStoreId]: stores[activeStoreId]} :
+    {};
+  const storeIdsOnly = {...access, partial: true, stores: {}};
+  Object.keys(stores).forEach((storeId) => {
+    storeIdsOnly.stores[storeId] = activeOnly[storeId] || [];
+  });
+  if (fits(storeIdsOnly)) {
+    return storeIdsOnly;
+  }
+  log("DEBUG: Custom claims too large, keeping the active store only:", {
+    storeCount: Object.keys(stores).length,
+  });
+  return {...access, partial: true, stores: activeOnly};
+}
+
+/**
+ * Whether going from one access to another takes anything away: a role
+ * change, deactivation, a store removed or a permission removed.
+ * @param {object} before From `buildAccessClaims`
+ * @param {object} after From `buildAccessClaims`
+ * @return {boolean}
+ */
+export function isAccessReduced(before, after) {
+  if (before.role && before.role !== after.role) {
+    return true;
+  }
+  if (before.active && !after.active) {
+    return true;
+  }
+  return Object.entries(before.stores).some(
+      ([storeId, permissions]) =>
+        !after.stores[storeId] ||
+        permissions.some(
+            (permission) => !after.stores[storeId].includes(permission),
+        ),
+  );
+}
+
+/**
+ * Writes the access of a profile into the user's custom claims, keeping
+ * custom claims the sync does not manage.
+ * @param {string} uid
+ * @param {object|null} userData
+ * @return {Promise<object|null>} The synced claims, or null without an Auth
+ *   account
+ */
+export async function syncCustomClaims(uid, userData) {
+  let userRecord;
+  try {
+    userRecord = await getAuth().getUser(uid);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      log("DEBUG: No Auth account to sync claims for:", uid);
+      return null;
+    }
+    throw error;
+  }
+
+  const otherClaims = {...(userRecord.customClaims || {})};
+  SYNCED_CLAIMS.forEach((claim) => delete otherClaims[claim]);
+  const claims = fitClaims(buildAccessClaims(userData), otherClaims);
+  await getAuth().setCustomUserClaims(uid, {...otherClaims, ...claims});
+
+  log("DEBUG: Synced custom claims:", {uid, claims});
+  return claims;
+}
+
+/**
+ * Mirrors role, stores and permissions of every profile into custom claims
+ * so security rules and clients can read them from the ID token. Refresh
+ * tokens are revoked when access is reduced, so the old claims stop working
+ * within the hour instead of lingering until the next sign-in.
+ */
+export const onUserAccessChange = onDocumentWritten(
+    "users/{uid}",
+    async (event) => {
+      const {uid} = event.params;
+      const before = buildAccessClaims(
+        event.data?.before?.exists ? event.data.before.data() : null,
+      );
+      const afterData = event.data?.after?.exists ?
+        event.data.after.data() :
+        null;
+      const after = buildAccessClaims(afterData);
+
+      // Most profile writes (tokens, preferences) do not touch access
+      if (JSON.stringify(before) === JSON.stringify(after)) {
+        return;
+      }
+      if (!afterData) {
+        log("DEBUG: Profile deleted, leaving claims to the Auth account:", uid);
+        return;
+      }
+
+      const claims = await syncCustomClaims(uid, afterData);
+      if (!claims) {
+        return;
+      }
+
+      const reduced = isAccessReduced(before, after);
+      if (reduced) {
+        await getAuth().revokeRefreshTokens(uid);
+        log("DEBUG: Access reduced, revoked refresh tokens:", uid);
+      }
+
+      // Clients watch this to know when to refresh their ID token
+      await event.data.after.ref.update({
+        claimsSyncedAt: FieldValue.serverTimestamp(),
+      });
+    },
+);
+
+/**
+ * Re-syncs custom claims from the profile. Without `uid` the caller's own
+ * claims are refreshed; admins and store managers can refresh staff they
+ * manage. Clients should force an ID token refresh afterwards.
+ */
+export const refreshCustomClaims = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  const auth = requireAuth(request);
+  const {uid} = validateRequest(request, {uid: ID});
+  const targetUid = uid || auth.uid;
+
+  let userData;
+  if (targetUid === auth.uid) {
+    const userDoc = await db.collection("users").doc(auth.uid).get();
+    userData = userDoc.exists ? userDoc.data() : null;
+  } else {
+    const caller = await getCallerContext(auth.uid);
+    userData = (await loadManageableStaff(caller, targetUid)).data;
+  }
+
+  try {
+    const claims = await syncCustomClaims(targetUid, userData);
+    return {success: true, uid: targetUid, claims};
+  } catch (error) {
+    throw toHttpsError(error, "refreshCustomClaims");
+  }
+});
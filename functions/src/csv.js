@@ -0,0 +1,94 @@
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * into objects keyed by the header row. Blank lines are ignored.
+ * @param {string} text
+ * @return {object[]} Rows with `line` set to their 1-based line number
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some((value) => value.trim() !== "")) {
+      records.push({values: record, line: recordLine});
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  endRecord();
+
+  if (records.length === 0) {
+    return [];
+  }
+  const header = records[0].values.map((name) => name.trim());
+  return records.slice(1).map(({values, line}) => {
+    const row = {line};
+    header.forEach((name, index) => {
+      row[name] = (values[index] || "").trim();
+    });
+    return row;
+  });
+}
+
+/**
+ * Quotes a value for CSV when it needs it.
+ * @param {*} value
+ * @return {string}
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Writes objects as CSV with the given columns.
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @return {string}
+ */
+export function toCsv(columns, rows) {
+  return [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((column) => toCsvField(row[column])).join(","),
+    ),
+  ].join("\n");
+}
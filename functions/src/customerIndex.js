@@ -0,0 +1,350 @@
+import {onCall} from "firebase-functions/v2/https";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {log} from "firebase-functions/logger";
+import {FieldPath, FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth, getCallerContext, assertIsAdmin} from "./authz.js";
+import {getRepairCustomerPhone} from "./phone.js";
+import {toHttpsError} from "./errors.js";
+import {ID, validateRequest} from "./validation.js";
+
+const DEFAULT_BATCH_LIMIT = 200;
+const MAX_BATCH_LIMIT = 500;
+
+// Progress of the index rebuild, so a later run resumes where this one
+// stopped
+const progressRef = db.collection("migrations").doc("customerIndex");
+
+/**
+ * The customer index of a business: one document per customer, keyed by
+ * their E.164 number, with the uids of their app accounts and a summary of
+ * each of their repairs there.
+ * @param {string} businessId
+ * @return {object}
+ */
+export function customersOf(businessId) {
+  return db.collection("stores").doc(businessId).collection("customers");
+}
+
+/**
+ * What the index keeps of a repair: enough to apply broadcast audience
+ * filters and fill in template variables without reading the repair.
+ * @param {object} repairData
+ * @return {object}
+ */
+function toIndexedRepair(repairData) {
+  return {
+    storeId: repairData.storeId || null,
+    status: repairData.status || null,
+    createdAt: repairData.createdAt || null,
+    deviceBrand: repairData.deviceBrand || null,
+    deviceModel: repairData.deviceModel || null,
+    customerName: repairData.customerName || null,
+    customerMobile: repairData.customerMobile || null,
+  };
+}
+
+/**
+ * The index document a repair belongs in.
+ * @param {object|null} repairData
+ * @return {Promise<object|null>} `{businessId, mobile}`
+ */
+async function getIndexKey(repairData) {
+  if (!repairData?.businessId) {
+    return null;
+  }
+  const mobile = await getRepairCustomerPhone(repairData);
+  return mobile ? {businessId: repairData.businessId, mobile} : null;
+}
+
+/**
+ * Uids of the customer accounts with this number.
+ * @param {string} mobile E.164 number
+ * @return {Promise<string[]>}
+ */
+async function findCustomerUids(mobile) {
+  const snapshot = await db
+      .collection("users")
+      .where("mobileE164", "==", mobile)
+      .where("role", "==", "user")
+      .get();
+  return snapshot.docs.map((doc) => doc.id);
+}
+
+/**
+ * Adds or updates a repair in its customer's index document, creating the
+ * document (with the customer's accounts) for a new customer.
+ * @param {object} key `{businessId, mobile}`
+ * @param {string} repairId
+ * @param {object} repair From `toIndexedRepair`
+ */
+async function upsertIndexedRepair(key, repairId, repair) {
+  const customerRef = customersOf(key.businessId).doc(key.mobile);
+  const existing = await customerRef.get();
+  const uids = existing.exists ? null : await findCustomerUids(key.mobile);
+
+  await db.runTransaction(async (transaction) => {
+    const customerDoc = await transaction.get(customerRef);
+    if (customerDoc.exists) {
+      transaction.update(customerRef, {
+        [`repairs.${repairId}`]: repair,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+    transaction.set(customerRef, {
+      businessId: key.businessId,
+      mobile: key.mobile,
+      uids: uids || (await findCustomerUids(key.mobile)),
+      repairs: {[repairId]: repair},
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+}
+
+/**
+ * Removes a repair from its customer's index document, and the document
+ * once the customer has no repairs left at the business.
+ * @param {object} key `{businessId, mobile}`
+ * @param {string} repairId
+ */
+async function removeIndexedRepair(key, repairId) {
+  const customerRef = customersOf(key.businessId).doc(key.mobile);
+  await db.runTransaction(async (transaction) => {
+    const customerDoc = await transaction.get(customerRef);
+    const repairs = customerDoc.exists ? customerDoc.data().repairs || {} : {};
+    if (!repairs[repairId]) {
+      return;
+    }
+    if (Object.keys(repairs).length === 1) {
+      transaction.delete(customerRef);
+      return;
+    }
+    transaction.update(customerRef, {
+      [`repairs.${repairId}`]: FieldValue.delete(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+}
+
+/**
+ * Brings the index in line with a repair write: moves the repair when its
+ * customer or business changed and refreshes its summary otherwise.
+ * @param {string} repairId
+ * @param {object|null} before Repair data before the write
+ * @param {object|null} after Repair data after the write
+ * @return {Promise<boolean>} Whether the index changed
+ */
+export async function indexRepair(repairId, before, after) {
+  const [beforeKey, afterKey] = await Promise.all([
+    getIndexKey(before),
+    getIndexKey(after),
+  ]);
+  const sameKey =
+    beforeKey?.businessId === afterKey?.businessId &&
+    beforeKey?.mobile === afterKey?.mobile;
+  // Most repair writes (notes, prices, assignees) change nothing indexed
+  if (
+    sameKey &&
+    JSON.stringify(before && toIndexedRepair(before)) ===
+      JSON.stringify(after && toIndexedRepair(after))
+  ) {
+    return false;
+  }
+
+  if (beforeKey && !sameKey) {
+    await removeIndexedRepair(beforeKey, repairId);
+  }
+  if (afterKey) {
+    await upsertIndexedRepair(afterKey, repairId, toIndexedRepair(after));
+  }
+  return true;
+}
+
+/**
+ * A customer's most recent indexed repair.
+ * @param {object} customer Index document data
+ * @return {object|null} `{id, ...indexed repair}`
+ */
+export function getLatestIndexedRepair(customer) {
+  const millis = (repair) => repair.createdAt?.toMillis?.() || 0;
+  return Object.entries(customer.repairs || {}).reduce(
+      (latest, [id, repair]) =>
+        !latest || millis(repair) >= millis(latest) ?
+          {id, ...repair} :
+          latest,
+      null,
+  );
+}
+
+/**
+ * Keeps the customer index in step with repairs.
+ */
+export const onRepairCustomerIndex = onDocumentWritten(
+    "repairs/{repairId}",
+    async (event) => {
+      const before = event.data?.before?.exists ?
+        event.data.before.data() :
+        null;
+      const after = event.data?.after?.exists ? event.data.after.data() : null;
+      if (await indexRepair(event.params.repairId, before, after)) {
+        log("DEBUG: Updated customer index for repair:", event.params.repairId);
+      }
+    },
+);
+
+/**
+ * The number a profile is indexed under: customers only.
+ * @param {object|null} userData
+ * @return {string|null}
+ */
+function getIndexedMobile(userData) {
+  return userData?.role === "user" ? userData.mobileE164 || null : null;
+}
+
+/**
+ * Keeps the `uids` of index documents in step with customer accounts when
+ * their normalized number or role changes.
+ */
+export const onUserCustomerIndex = onDocumentWritten(
+    "users/{uid}",
+    async (event) => {
+      const {uid} = event.params;
+      const before = getIndexedMobile(
+        event.data?.before?.exists ? event.data.before.data() : null,
+      );
+      const after = getIndexedMobile(
+        event.data?.after?.exists ? event.data.after.data() : null,
+      );
+      if (before === after) {
+        return;
+      }
+
+      const findIndexed = (mobile) =>
+        db.collectionGroup("customers").where("mobile", "==", mobile).get();
+      const [removeFrom, addTo] = await Promise.all([
+        before ? findIndexed(before) : null,
+        after ? findIndexed(after) : null,
+      ]);
+      const batch = db.batch();
+      removeFrom?.docs.forEach((doc) => {
+        batch.update(doc.ref, {uids: FieldValue.arrayRemove(uid)});
+      });
+      addTo?.docs.forEach((doc) => {
+        batch.update(doc.ref, {uids: FieldValue.arrayUnion(uid)});
+      });
+      await batch.commit();
+      log("DEBUG: Updated customer index for user:", {uid, before, after});
+    },
+);
+
+/**
+ * Admin job (re)building the customer index from existing repairs. Works
+ * like `migrateLegacyStaff`: a dry run by default, up to `limit` repairs
+ * per call in id order, with progress in `migrations/customerIndex` so
+ * `resume: true` continues until `done`. Indexed repairs are only
+ * rewritten when their summary changed, so rerunning is safe.
+ */
+export const rebuildCustomerIndex = onCall(
+    {timeoutSeconds: 540},
+    async (request) => {
+      log("DEBUG: request.auth:", request.auth);
+      log("DEBUG: request.data:", request.data);
+      const auth = requireAuth(request);
+      const {dryRun = true, limit, startAfter, resume} = validateRequest(
+          request,
+          {
+            dryRun: {type: "boolean"},
+            limit: {type: "integer", min: 1, max: MAX_BATCH_LIMIT},
+            startAfter: ID,
+            resume: {type: "boolean"},
+          },
+      );
+      const caller = await getCallerContext(auth.uid);
+      assertIsAdmin(caller);
+      const pageSize = limit || DEFAULT_BATCH_LIMIT;
+
+      try {
+        let cursor = startAfter || null;
+        if (!cursor && resume && !dryRun) {
+          const progressDoc = await progressRef.get();
+          cursor = progressDoc.exists ? progressDoc.data().cursor : null;
+        }
+
+        let query = db
+            .collection("repairs")
+            .orderBy(FieldPath.documentId())
+            .limit(pageSize);
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+
+        let indexable = 0;
+        let indexed = 0;
+        for (const doc of snapshot.docs) {
+          const key = await getIndexKey(doc.data());
+          if (!key) {
+            continue;
+          }
+          indexable += 1;
+          if (dryRun) {
+            continue;
+          }
+          const customerDoc = await customersOf(key.businessId)
+              .doc(key.mobile)
+              .get();
+          const current = customerDoc.exists ?
+            customerDoc.data().repairs?.[doc.id] :
+            null;
+          if (
+            JSON.stringify(current || null) !==
+            JSON.stringify(toIndexedRepair(doc.data()))
+          ) {
+            await upsertIndexedRepair(key, doc.id, toIndexedRepair(doc.data()));
+            indexed += 1;
+          }
+        }
+
+        const done = snapshot.size < pageSize;
+        const nextCursor = done ?
+          null :
+          snapshot.docs[snapshot.docs.length - 1].id;
+
+        if (!dryRun) {
+          await progressRef.set(
+              {
+                cursor: nextCursor,
+                done,
+                scanned: FieldValue.increment(snapshot.size),
+                indexed: FieldValue.increment(indexed),
+                lastRunBy: auth.uid,
+                updatedAt: FieldValue.serverTimestamp(),
+                completedAt: done ? FieldValue.serverTimestamp() : null,
+              },
+              {merge: true},
+          );
+        }
+
+        log("DEBUG: Customer index rebuild batch:", {
+          dryRun,
+          scanned: snapshot.size,
+          indexable,
+          indexed,
+          nextCursor,
+        });
+        return {
+          success: true,
+          dryRun,
+          scanned: snapshot.size,
+          indexable,
+          indexed,
+          nextCursor,
+          done,
+        };
+      } catch (error) {
+        throw toHttpsError(error, "rebuildCustomerIndex");
+      }
+    },
+);
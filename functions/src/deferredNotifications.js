@@ -0,0 +1,272 @@
+import {onSchedule} from "firebase-functions/v2/scheduler";
+import {log} from "firebase-functions/logger";
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {PUSH_SECRETS, collectDevices, deliver} from "./push/index.js";
+import {loadUserDevices} from "./devices.js";
+import {
+  getJobStatus,
+  getSendStatus,
+  recordDeliveries,
+  recordNotification,
+} from "./notificationHistory.js";
+import {evaluatePreferences} from "./preferences.js";
+
+// Firestore allows at most 500 writes per batch
+const WRITE_BATCH_SIZE = 500;
+// Deferred notifications dispatched per scheduler run
+const DISPATCH_BATCH_SIZE = 100;
+
+/**
+ * Queues notifications held back by a customer's quiet hours.
+ * @param {object[]} entries One per customer: `{uid, mobile, deliverAt,
+ *   notificationId, kind, senderUid, businessId, repairId, title, body,
+ *   imageUrl, data, platforms}`, where `notificationId` is the send they
+ *   were held back from. An entry with an `id` is queued under it once:
+ *   queuing it again, as a retried broadcast batch does, changes nothing.
+ * @return {Promise<number>} Number of queued notifications
+ */
+export async function deferNotifications(entries) {
+  const collection = db.collection("deferredNotifications");
+  for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+    const chunk = entries.slice(i, i + WRITE_BATCH_SIZE).map((entry) => ({
+      entry,
+      ref: entry.id ? collection.doc(entry.id) : collection.doc(),
+    }));
+    const keyedRefs = chunk.filter(({entry}) => entry.id).map(({ref}) => ref);
+    const keyedDocs = keyedRefs.length > 0 ? await db.getAll(...keyedRefs) : [];
+    const existing = new Set(
+        keyedDocs.filter((doc) => doc.exists).map((doc) => doc.id),
+    );
+
+    const batch = db.batch();
+    chunk.forEach(({entry, ref}) => {
+      if (existing.has(ref.id)) {
+        return;
+      }
+      batch.set(ref, {
+        uid: entry.uid,
+        mobile: entry.mobile || null,
+        notificationId: entry.notificationId || null,
+        kind: entry.kind,
+        senderUid: entry.senderUid || null,
+        businessId: entry.businessId || null,
+        repairId: entry.repairId || null,
+        title: entry.title,
+        body: entry.body,
+        imageUrl: entry.imageUrl || null,
+        data: entry.data || {},
+        platforms: entry.platforms || null,
+        deliverAt: Timestamp.fromDate(entry.deliverAt),
+        status: "pending",
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  if (entries.length > 0) {
+    log("DEBUG: Deferred notifications for quiet hours:", entries.length);
+  }
+  return entries.length;
+}
+
+/**
+ * Adds the outcome of a deferred send to the notification it was held
+ * back from: its delivery counts, or one more skipped customer, and one
+ * fewer deferred. A settled notification gets its `status` again.
+ * @param {object} notificationRef
+ * @param {object} outcome
+ * @param {object|null} [outcome.delivery] Result of `deliver`
+ * @param {boolean} [outcome.skipped]
+ * @return {Promise<boolean>} False when the notification does not exist
+ */
+async function addToNotification(notificationRef, {delivery, skipped}) {
+  return db.runTransaction(async (transaction) => {
+    const notificationDoc = await transaction.get(notificationRef);
+    if (!notificationDoc.exists) {
+      return false;
+    }
+
+    const current = notificationDoc.data();
+    const totals = {
+      totalTokens: current.totalTokens + (delivery?.totalTokens || 0),
+      successCount: current.successCount + (delivery?.totalSuccess || 0),
+      failureCount: current.failureCount + (delivery?.totalFailure || 0),
+    };
+    const updates = {
+      ...totals,
+      prunedCount: FieldValue.increment(delivery?.pruned?.count || 0),
+      skippedCount: FieldValue.increment(skipped ? 1 : 0),
+      deferredCount: FieldValue.increment(-1),
+    };
+    // Broadcast workers settle the status of a job still sending
+    if (current.status !== "sending") {
+      updates.status = current.job ?
+        getJobStatus(totals, current.job).status :
+        getSendStatus({
+          totalTokens: totals.totalTokens,
+          totalSuccess: totals.successCount,
+          totalFailure: totals.failureCount,
+        });
+    }
+    transaction.update(notificationRef, updates);
+    return true;
+  });
+}
+
+/**
+ * Claims a due notification and delivers it, re-checking the customer's
+ * preferences since they may have changed while it was queued.
+ * @param {object} deferredRef
+ * @return {Promise<void>}
+ */
+async function dispatchDeferredNotification(deferredRef) {
+  const entry = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(deferredRef);
+    if (!doc.exists || doc.data().status !== "pending") {
+      return null;
+    }
+    transaction.update(deferredRef, {
+      status: "sending",
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return doc.data();
+  });
+
+  if (!entry) {
+    return;
+  }
+
+  try {
+    const userDoc = await db.collection("users").doc(entry.uid).get();
+    if (!userDoc.exists) {
+      await deferredRef.update({
+        status: "skipped",
+        reason: "user_not_found",
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+
+    const userData = userDoc.data();
+    const decision = evaluatePreferences(userData, entry);
+    if (decision.action === "skip") {
+      if (entry.notificationId) {
+        await addToNotification(
+            db.collection("notifications").doc(entry.notificationId),
+            {skipped: true},
+        );
+      }
+      await deferredRef.update({
+        status: "skipped",
+        reason: decision.reason,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+    if (decision.action === "defer") {
+      await deferredRef.update({
+        status: "pending",
+        deliverAt: Timestamp.fromDate(decision.deliverAt),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+
+    const userDevices = await loadUserDevices([entry.uid]);
+    const devices = userDevices.get(entry.uid).filter(
+        (device) =>
+          !entry.platforms || entry.platforms.includes(device.tokenType),
+    );
+    const tokens = devices.map((device) => device.token);
+    const history = {
+      kind: entry.kind,
+      senderUid: entry.senderUid,
+      businessId: entry.businessId,
+      repairId: entry.repairId,
+      title: entry.title,
+      body: entry.body,
+      imageUrl: entry.imageUrl || undefined,
+      data: entry.data,
+      mobile: entry.mobile,
+      audienceSize: 1,
+    };
+
+    const delivery = tokens.length > 0 ?
+      await deliver(
+          tokens,
+          {
+            title: entry.title,
+            body: entry.body,
+            imageUrl: entry.imageUrl || undefined,
+            data: entry.data,
+          },
+          {devices: collectDevices(devices, new Map())},
+      ) :
+      null;
+    const recipients = new Map(
+        tokens.map((token) => [token, {uid: entry.uid, mobile: entry.mobile}]),
+    );
+
+    // Add to the send it was held back from, or record it on its own if
+    // that send was never recorded
+    let notificationId = entry.notificationId;
+    const notificationRef = notificationId ?
+      db.collection("notifications").doc(notificationId) :
+      null;
+    const added = notificationRef ?
+      await addToNotification(notificationRef, {delivery}) :
+      false;
+    if (added) {
+      if (delivery) {
+        await recordDeliveries(notificationRef, delivery.results, recipients);
+      }
+    } else {
+      notificationId = await recordNotification({
+        ...history,
+        recipients,
+        delivery,
+      });
+    }
+
+    await deferredRef.update({
+      status: delivery ? "sent" : "no_devices",
+      notificationId,
+      sentAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    log("DEBUG: Error dispatching deferred notification:", {
+      deferredNotificationId: deferredRef.id,
+      error: error.message,
+    });
+    await deferredRef.update({
+      status: "failed",
+      error: error.message,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+export const dispatchDeferredNotifications = onSchedule(
+    {schedule: "every 5 minutes", secrets: PUSH_SECRETS},
+    async () => {
+      const dueSnapshot = await db
+          .collection("deferredNotifications")
+          .where("status", "==", "pending")
+          .where("deliverAt", "<=", Timestamp.now())
+          .orderBy("deliverAt", "asc")
+          .limit(DISPATCH_BATCH_SIZE)
+          .get();
+
+      if (dueSnapshot.empty) {
+        return;
+      }
+
+      log("DEBUG: Due deferred notifications:", dueSnapshot.size);
+      for (const doc of dueSnapshot.docs) {
+        await dispatchDeferredNotification(doc.ref);
+      }
+    },
+);
@@ -0,0 +1,527 @@
+import {createHash} from "node:crypto";
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {log} from "firebase-functions/logger";
+import {FieldPath, FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertIsAdmin,
+} from "./authz.js";
+import {
+  APNS_ENVIRONMENTS,
+  getApnsTopics,
+  isApnsToken,
+} from "./push/index.js";
+import {maskToken} from "./push/prune.js";
+import {toHttpsError} from "./errors.js";
+import {ID, fieldError, validateRequest} from "./validation.js";
+
+export const TOKEN_TYPES = ["fcm", "apns"];
+export const DEVICE_PLATFORMS = ["android", "ios", "web"];
+
+// Firestore limit for `in` filters
+const QUERY_CHUNK_SIZE = 30;
+
+const DEFAULT_BATCH_LIMIT = 200;
+const MAX_BATCH_LIMIT = 500;
+
+// Progress of the token migration, so a later run resumes where this one
+// stopped
+const progressRef = db.collection("migrations").doc("deviceTokens");
+
+/**
+ * Device id used when the app does not send one: derived from the token,
+ * so registering the same token twice updates one device.
+ * @param {string} token
+ * @return {string}
+ */
+export function getTokenDeviceId(token) {
+  return createHash("sha256").update(token).digest("hex").slice(0, 40);
+}
+
+/**
+ * The registry of a user's devices (`users/{uid}/devices`).
+ * @param {string} uid
+ * @return {object}
+ */
+function devicesOf(uid) {
+  return db.collection("users").doc(uid).collection("devices");
+}
+
+/**
+ * Saves a device in a user's registry and removes the same token from
+ * every other device, on this account or another: a token belongs to the
+ * account last signed in on the device.
+ * @param {string} uid
+ * @param {string} deviceId
+ * @param {object} device `{token, tokenType, platform, apnsEnvironment,
+ *   apnsTopic, appVersion, locale}`
+ * @return {Promise<object>} `{deviceId, created, duplicatesRemoved}`
+ */
+export async function saveDevice(uid, deviceId, device) {
+  const deviceRef = devicesOf(uid).doc(deviceId);
+  const [deviceDoc, duplicates] = await Promise.all([
+    deviceRef.get(),
+    db.collectionGroup("devices").where("token", "==", device.token).get(),
+  ]);
+
+  const batch = db.batch();
+  const stale = duplicates.docs.filter(
+      (doc) => doc.ref.path !== deviceRef.path,
+  );
+  stale.forEach((doc) => batch.delete(doc.ref));
+  batch.set(
+      deviceRef,
+      {
+        ...device,
+        uid,
+        lastSeenAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(!deviceDoc.exists && {
+          registeredAt: FieldValue.serverTimestamp(),
+        }),
+      },
+      {merge: true},
+  );
+  await batch.commit();
+
+  if (stale.length > 0) {
+    log("DEBUG: Moved push token from other devices:", {
+      uid,
+      token: maskToken(device.token),
+      removed: stale.map((doc) => doc.ref.path),
+    });
+  }
+  return {
+    deviceId,
+    created: !deviceDoc.exists,
+    duplicatesRemoved: stale.length,
+  };
+}
+
+/**
+ * Loads the registered devices of users, one query per 30 users.
+ * @param {string[]} uids
+ * @return {Promise<Map<string, object[]>>} uid to `[{id, token, tokenType,
+ *   platform, apnsEnvironment, apnsTopic, ...}]`; every uid is present
+ */
+export async function loadUserDevices(uids) {
+  const uniqueUids = Array.from(new Set(uids));
+  const devices = new Map(uniqueUids.map((uid) => [uid, []]));
+  for (let i = 0; i < uniqueUids.length; i += QUERY_CHUNK_SIZE) {
+    const snapshot = await db
+        .collectionGroup("devices")
+        .where("uid", "in", uniqueUids.slice(i, i + QUERY_CHUNK_SIZE))
+        .get();
+    snapshot.docs.forEach((doc) => {
+      const device = {id: doc.id, ...doc.data()};
+      if (device.token && devices.has(device.uid)) {
+        devices.get(device.uid).push(device);
+      }
+    });
+  }
+  return devices;
+}
+
+/**
+ * Checks the APNs fields of a registration and fills in the default app.
+ * @param {string} token
+ * @param {string} [environment]
+ * @param {string} [bundleId]
+ * @return {object} `{apnsEnvironment, apnsTopic}`
+ */
+function resolveApnsFields(token, environment, bundleId) {
+  if (!isApnsToken(token)) {
+    throw fieldError(
+        "token",
+        "must be a 64 character hex APNs device token",
+        "format",
+    );
+  }
+  if (!environment) {
+    throw fieldError("apnsEnvironment", "is required for APNs tokens");
+  }
+  const topics = getApnsTopics();
+  const topic = bundleId || topics[0];
+  if (!topics.includes(topic)) {
+    throw fieldError(
+        "bundleId",
+        `must be one of: ${topics.join(", ")}`,
+        "enum",
+    );
+  }
+  return {apnsEnvironment: environment, apnsTopic: topic};
+}
+
+/**
+ * Checks that the caller has a profile to register devices on.
+ * @param {string} uid
+ */
+async function assertProfileExists(uid) {
+  const userDoc = await db.collection("users").doc(uid).get();
+  if (!userDoc.exists) {
+    throw new HttpsError("not-found", "User profile not found", {
+      reason: "user_not_found",
+    });
+  }
+}
+
+const REGISTER_DEVICE_SCHEMA = {
+  token: {type: "string", required: true, minLength: 1, maxLength: 4096},
+  tokenType: {type: "string", required: true, enum: TOKEN_TYPES},
+  platform: {type: "string", required: true, enum: DEVICE_PLATFORMS},
+  apnsEnvironment: {type: "string", enum: APNS_ENVIRONMENTS},
+  bundleId: {type: "string"},
+  appVersion: {type: "string", minLength: 1, maxLength: 64},
+  locale: {type: "string", minLength: 2, maxLength: 35},
+  deviceId: {type: "string", minLength: 1, maxLength: 128},
+};
+
+/**
+ * Registers (or refreshes) one of the caller's devices. Apps call it on
+ * every start and whenever the push token changes; `deviceId` is a stable
+ * id of the app install, so a new token replaces the old one. APNs tokens
+ * need `apnsEnvironment` (sandbox for development builds) and may name the
+ * app with `bundleId`.
+ */
+export const registerDevice = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  const auth = requireAuth(request);
+  const {
+    token,
+    tokenType,
+    platform,
+    apnsEnvironment,
+    bundleId,
+    appVersion,
+    locale,
+    deviceId,
+  } = validateRequest(request, REGISTER_DEVICE_SCHEMA);
+  if (deviceId?.includes("/")) {
+    throw fieldError("deviceId", "must not contain \"/\"", "format");
+  }
+  const apnsFields = tokenType === "apns" ?
+    resolveApnsFields(token, apnsEnvironment, bundleId) :
+    {apnsEnvironment: null, apnsTopic: null};
+  await assertProfileExists(auth.uid);
+
+  try {
+    const saved = await saveDevice(
+        auth.uid,
+        deviceId || getTokenDeviceId(token),
+        {
+          token,
+          tokenType,
+          platform,
+          ...apnsFields,
+          appVersion: appVersion || null,
+          locale: locale || null,
+        },
+    );
+
+    log("DEBUG: Registered device:", {
+      uid: auth.uid,
+      deviceId: saved.deviceId,
+      token: maskToken(token),
+      tokenType,
+      platform,
+    });
+    return {success: true, ...saved};
+  } catch (error) {
+    throw toHttpsError(error, "registerDevice");
+  }
+});
+
+/**
+ * Removes one of the caller's devices, by `deviceId` or `token`; apps call
+ * it on sign-out so the next account on the device is not notified for
+ * this one.
+ */
+export const unregisterDevice = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  const auth = requireAuth(request);
+  const {deviceId, token} = validateRequest(request, {
+    deviceId: ID,
+    token: {type: "string", minLength: 1, maxLength: 4096},
+  });
+  if (!deviceId && !token) {
+    throw fieldError("deviceId", "or token is required", "required");
+  }
+
+  try {
+    let refs;
+    if (deviceId) {
+      const deviceDoc = await devicesOf(auth.uid).doc(deviceId).get();
+      refs = deviceDoc.exists ? [deviceDoc.ref] : [];
+    } else {
+      const snapshot = await devicesOf(auth.uid)
+          .where("token", "==", token)
+          .get();
+      refs = snapshot.docs.map((doc) => doc.ref);
+    }
+    if (refs.length === 0) {
+      throw new HttpsError("not-found", "Device not found", {
+        reason: "device_not_found",
+      });
+    }
+
+    const batch = db.batch();
+    refs.forEach((ref) => batch.delete(ref));
+    await batch.commit();
+
+    log("DEBUG: Unregistered device:", {
+      uid: auth.uid,
+      deviceIds: refs.map((ref) => ref.id),
+    });
+    return {success: true, removed: refs.length};
+  } catch (error) {
+    throw toHttpsError(error, "unregisterDevice");
+  }
+});
+
+/**
+ * Registers an APNs token for the caller together with the environment
+ * (sandbox for development builds) and the app bundle it belongs
+ * to. Kept for app builds that predate `registerDevice`.
+ */
+export const registerApnsToken = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  const auth = requireAuth(request);
+
+  const {token, environment, bundleId} = validateRequest(request, {
+    token: {type: "string", required: true},
+    environment: {type: "string", required: true, enum: APNS_ENVIRONMENTS},
+    bundleId: {type: "string"},
+  });
+  const apnsFields = resolveApnsFields(token, environment, bundleId);
+  await assertProfileExists(auth.uid);
+
+  try {
+    await saveDevice(auth.uid, getTokenDeviceId(token), {
+      token,
+      tokenType: "apns",
+      platform: "ios",
+      ...apnsFields,
+    });
+
+    log("DEBUG: Registered APNs token:", {
+      uid: auth.uid,
+      token: maskToken(token),
+      environment,
+      topic: apnsFields.apnsTopic,
+    });
+    return {
+      success: true,
+      environment,
+      topic: apnsFields.apnsTopic,
+    };
+  } catch (error) {
+    throw toHttpsError(error, "registerApnsToken");
+  }
+});
+
+/**
+ * The devices stored the old way on a profile: the `fcmTokens` array (or
+ * legacy `fcmToken`) with APNs settings in `apnsTokenSettings`. Tokens
+ * without settings were never registered through `registerApnsToken`, so
+ * their type can only be guessed from their shape.
+ * @param {object} userData
+ * @return {object[]} Device fields for `saveDevice`
+ */
+export function getLegacyDevices(userData) {
+  const tokens = Array.isArray(userData.fcmTokens) ?
+    userData.fcmTokens :
+    [userData.fcmToken];
+  const settings = userData.apnsTokenSettings || {};
+  return Array.from(new Set(tokens))
+      .filter((token) => typeof token === "string" && token.length > 0)
+      .map((token) => {
+        const apns = Boolean(settings[token]) || isApnsToken(token);
+        return {
+          token,
+          tokenType: apns ? "apns" : "fcm",
+          platform: apns ? "ios" : null,
+          apnsEnvironment: apns ? settings[token]?.environment || null : null,
+          apnsTopic: apns ? settings[token]?.topic || null : null,
+          appVersion: null,
+          locale: null,
+        };
+      });
+}
+
+/**
+ * Whether a profile still holds push tokens outside the registry.
+ * @param {object} userData
+ * @return {boolean}
+ */
+function hasLegacyTokens(userData) {
+  return (
+    userData.fcmTokens !== undefined ||
+    userData.fcmToken !== undefined ||
+    userData.apnsTokenSettings !== undefined
+  );
+}
+
+/**
+ * Moves a profile's legacy tokens into its device registry and removes
+ * them from the profile. Tokens an old app build adds meanwhile stay in
+ * `fcmTokens` for the next run.
+ * @param {object} userRef
+ * @param {object} userData
+ * @return {Promise<number>} Number of devices saved
+ */
+async function migrateUserTokens(userRef, userData) {
+  const devices = getLegacyDevices(userData);
+  for (const device of devices) {
+    await saveDevice(userRef.id, getTokenDeviceId(device.token), {
+      ...device,
+      migratedAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  const tokens = devices.map((device) => device.token);
+  await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      return;
+    }
+    const current = userDoc.data();
+    const remaining = (
+      Array.isArray(current.fcmTokens) ? current.fcmTokens : []
+    ).filter(
+        (token) =>
+          typeof token === "string" && token && !tokens.includes(token),
+    );
+    const updates = {
+      fcmTokens: remaining.length > 0 ? remaining : FieldValue.delete(),
+      apnsTokenSettings: FieldValue.delete(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (!current.fcmToken || tokens.includes(current.fcmToken)) {
+      updates.fcmToken = FieldValue.delete();
+    }
+    transaction.update(userRef, updates);
+  });
+  return devices.length;
+}
+
+/**
+ * Moves tokens that app builds predating `registerDevice` still write into
+ * `fcmTokens` over to the device registry.
+ */
+export const onLegacyPushTokens = onDocumentWritten(
+    "users/{uid}",
+    async (event) => {
+      if (!event.data?.after?.exists) {
+        return;
+      }
+      const userData = event.data.after.data();
+      if (!hasLegacyTokens(userData)) {
+        return;
+      }
+      const count = await migrateUserTokens(event.data.after.ref, userData);
+      log("DEBUG: Moved legacy push tokens to the registry:", {
+        uid: event.params.uid,
+        count,
+      });
+    },
+);
+
+/**
+ * Admin job moving the `fcmTokens`, `fcmToken` and `apnsTokenSettings` of
+ * existing profiles into the device registry. Works like
+ * `migrateLegacyStaff`: a dry run by default, up to `limit` profiles per
+ * call in uid order, with progress in `migrations/deviceTokens` so
+ * `resume: true` continues until `done`.
+ */
+export const migrateDeviceTokens = onCall(
+    {timeoutSeconds: 540},
+    async (request) => {
+      log("DEBUG: request.auth:", request.auth);
+      log("DEBUG: request.data:", request.data);
+      const auth = requireAuth(request);
+      const {dryRun = true, limit, startAfter, resume} = validateRequest(
+          request,
+          {
+            dryRun: {type: "boolean"},
+            limit: {type: "integer", min: 1, max: MAX_BATCH_LIMIT},
+            startAfter: ID,
+            resume: {type: "boolean"},
+          },
+      );
+      const caller = await getCallerContext(auth.uid);
+      assertIsAdmin(caller);
+      const pageSize = limit || DEFAULT_BATCH_LIMIT;
+
+      try {
+        let cursor = startAfter || null;
+        if (!cursor && resume && !dryRun) {
+          const progressDoc = await progressRef.get();
+          cursor = progressDoc.exists ? progressDoc.data().cursor : null;
+        }
+
+        let query = db
+            .collection("users")
+            .orderBy(FieldPath.documentId())
+            .limit(pageSize);
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+
+        let profiles = 0;
+        let devices = 0;
+        for (const doc of snapshot.docs) {
+          if (!hasLegacyTokens(doc.data())) {
+            continue;
+          }
+          profiles += 1;
+          devices += dryRun ?
+            getLegacyDevices(doc.data()).length :
+            await migrateUserTokens(doc.ref, doc.data());
+        }
+
+        const done = snapshot.size < pageSize;
+        const nextCursor = done ?
+          null :
+          snapshot.docs[snapshot.docs.length - 1].id;
+
+        if (!dryRun) {
+          await progressRef.set(
+              {
+                cursor: nextCursor,
+                done,
+                scanned: FieldValue.increment(snapshot.size),
+                profiles: FieldValue.increment(profiles),
+                devices: FieldValue.increment(devices),
+                lastRunBy: auth.uid,
+                updatedAt: FieldValue.serverTimestamp(),
+                completedAt: done ? FieldValue.serverTimestamp() : null,
+              },
+              {merge: true},
+          );
+        }
+
+        log("DEBUG: Device token migration batch:", {
+          dryRun,
+          scanned: snapshot.size,
+          profiles,
+          devices,
+          nextCursor,
+        });
+        return {
+          success: true,
+          dryRun,
+          scanned: snapshot.size,
+          profiles,
+          devices,
+          nextCursor,
+          done,
+        };
+      } catch (error) {
+        throw toHttpsError(error, "migrateDeviceTokens");
+      }
+    },
+);
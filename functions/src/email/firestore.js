@@ -0,0 +1,36 @@
+import {log} from "firebase-functions/logger";
+import {defineString} from "firebase-functions/params";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "../firebase.js";
+
+const MAIL_COLLECTION = defineString("MAIL_COLLECTION", {
+  description: "Collection watched by the Trigger Email extension",
+  default: "mail",
+});
+
+/**
+ * Creates a transport that queues emails as documents for the Firebase
+ * Trigger Email extension, which sends them through the configured SMTP
+ * server.
+ * @return {object}
+ */
+export function createFirestoreEmailTransport() {
+  return {
+    name: "firestore",
+
+    /**
+     * Queues the email.
+     * @param {object} email `{to, subject, text, html}`
+     * @return {Promise<object>} `{id}` of the mail document
+     */
+    async send({to, subject, text, html}) {
+      const mailRef = await db.collection(MAIL_COLLECTION.value()).add({
+        to,
+        message: {subject, text, html},
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      log("DEBUG: Queued email", {id: mailRef.id, to, subject});
+      return {id: mailRef.id};
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import {log} from "firebase-functions/logger";
+import {createFirestoreEmailTransport} from "./firestore.js";
+import {createMemoryEmailTransport} from "./memory.js";
+
+export {getRecordedEmails, clearRecordedEmails} from "./memory.js";
+
+let transport = null;
+
+/**
+ * Whether emails are recorded in memory instead of sent. Only honored in
+ * the emulator (`EMAIL_TRANSPORT=memory` in `.env.local`), like the push
+ * memory transport.
+ * @return {boolean}
+ */
+export function usesMemoryEmailTransport() {
+  return (
+    process.env.FUNCTIONS_EMULATOR === "true" &&
+    process.env.EMAIL_TRANSPORT === "memory"
+  );
+}
+
+/**
+ * Replaces the email transport, e.g. with one for another provider. A
+ * transport is an object with `name` and `async send({to, subject, text,
+ * html})` returning `{id}`.
+ * @param {object|null} emailTransport null restores the default
+ */
+export function setEmailTransport(emailTransport) {
+  transport = emailTransport;
+}
+
+/**
+ * Returns the email transport for this instance.
+ * @return {object}
+ */
+export function getEmailTransport() {
+  if (!transport) {
+    transport = usesMemoryEmailTransport() ?
+      createMemoryEmailTransport() :
+      createFirestoreEmailTransport();
+    log("DEBUG: Email transport initialized:", {name: transport.name});
+  }
+  return transport;
+}
+
+/**
+ * Sends an email through the current transport.
+ * @param {object} email `{to, subject, text, html}`
+ * @return {Promise<object>} `{id}`
+ */
+export async function sendEmail(email) {
+  return getEmailTransport().send(email);
+}
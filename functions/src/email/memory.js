@@ -0,0 +1,46 @@
+import {log} from "firebase-functions/logger";
+
+// Every email handed to the memory transport in this instance
+const recorded = [];
+
+/**
+ * Creates a transport that records emails instead of sending them, standing
+ * in for the real transport in the emulator and in tests.
+ * @return {object}
+ */
+export function createMemoryEmailTransport() {
+  return {
+    name: "memory",
+
+    /**
+     * Records the email.
+     * @param {object} email `{to, subject, text, html}`
+     * @return {Promise<object>} `{id}`
+     */
+    async send(email) {
+      const id = `memory-${Date.now()}-${recorded.length}`;
+      recorded.push({...email, id, sentAt: new Date().toISOString()});
+      log("DEBUG: Memory transport recorded email", {
+        id,
+        to: email.to,
+        subject: email.subject,
+      });
+      return {id};
+    },
+  };
+}
+
+/**
+ * Returns the emails recorded by the memory transport so far.
+ * @return {object[]}
+ */
+export function getRecordedEmails() {
+  return [...recorded];
+}
+
+/**
+ * Forgets every recorded email.
+ */
+export function clearRecordedEmails() {
+  recorded.length = 0;
+}
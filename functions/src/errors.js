@@ -0,0 +1,70 @@
+import {HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+
+// Firebase Auth admin error codes and the callable code they surface as
+const AUTH_ERROR_CODES = {
+  "auth/email-already-exists": "already-exists",
+  "auth/phone-number-already-exists": "already-exists",
+  "auth/uid-already-exists": "already-exists",
+  "auth/user-not-found": "not-found",
+  "auth/invalid-email": "invalid-argument",
+  "auth/invalid-password": "invalid-argument",
+  "auth/invalid-phone-number": "invalid-argument",
+  "auth/invalid-display-name": "invalid-argument",
+  "auth/invalid-uid": "invalid-argument",
+  "auth/argument-error": "invalid-argument",
+  "auth/too-many-requests": "resource-exhausted",
+};
+
+// Firestore (gRPC) status codes and the callable code they surface as
+const FIRESTORE_ERROR_CODES = {
+  3: "invalid-argument",
+  4: "deadline-exceeded",
+  5: "not-found",
+  6: "already-exists",
+  8: "resource-exhausted",
+  9: "failed-precondition",
+  10: "aborted",
+  14: "unavailable",
+};
+
+/**
+ * Turns a code such as "auth/email-already-exists" into the snake_case
+ * `reason` callers get in error details.
+ * @param {string} code
+ * @return {string}
+ */
+function toReason(code) {
+  return code.replace(/^[a-z]+\//, "").replace(/-/g, "_");
+}
+
+/**
+ * Converts whatever a callable caught into the error its client receives.
+ * `HttpsError`s pass through unchanged, Auth and Firestore errors keep
+ * their meaning (e.g. an existing email is `already-exists`, not
+ * `internal`) and anything else becomes `internal`. Every converted error
+ * carries `details.reason`.
+ * @param {Error} error
+ * @param {string} operation Callable name, for the log
+ * @return {HttpsError}
+ */
+export function toHttpsError(error, operation) {
+  if (error instanceof HttpsError) {
+    return error;
+  }
+
+  log(`DEBUG: Error in ${operation}:`, error.message);
+
+  if (typeof error.code === "string" && AUTH_ERROR_CODES[error.code]) {
+    return new HttpsError(AUTH_ERROR_CODES[error.code], error.message, {
+      reason: toReason(error.code),
+    });
+  }
+  if (typeof error.code === "number" && FIRESTORE_ERROR_CODES[error.code]) {
+    const code = FIRESTORE_ERROR_CODES[error.code];
+    return new HttpsError(code, error.message, {reason: toReason(code)});
+  }
+  return new HttpsError("internal", error.message || "Internal error", {
+    reason: "internal",
+  });
+}
@@ -0,0 +1,5 @@
+import {initializeApp} from "firebase-admin/app";
+import {getFirestore} from "firebase-admin/firestore";
+
+initializeApp();
+export const db = getFirestore(); // Initialize Firestore instance
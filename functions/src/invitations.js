@@ -0,0 +1,532 @@
+import {createHash, randomBytes, timingSafeEqual} from "node:crypto";
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {defineString} from "firebase-functions/params";
+import {getAuth} from "firebase-admin/auth";
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStore,
+} from "./authz.js";
+import {getAssignedStoreIds, resolveActiveStore} from "./activeStore.js";
+import {expandAssignments} from "./roleTemplates.js";
+import {toIsoString} from "./notificationHistory.js";
+import {recordAudit, recordStaffAudit} from "./audit.js";
+import {sendEmail} from "./email/index.js";
+import {toHttpsError} from "./errors.js";
+import {
+  ID,
+  PERMISSIONS,
+  REQUIRED_ID,
+  REQUIRED_TEXT,
+  validateRequest,
+} from "./validation.js";
+
+const INVITE_URL = defineString("INVITE_URL", {
+  description: "App page that completes a staff invitation",
+  default: "https://fixisy.app/invite",
+});
+
+// How long an invitation link can be used
+const INVITATION_TTL_DAYS = 7;
+
+export const INVITATION_STATUSES = ["pending", "accepted", "revoked"];
+
+const invitationsRef = db.collection("staffInvitations");
+
+/**
+ * Hashes an invitation token; only the hash is stored.
+ * @param {string} token
+ * @return {string}
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Whether a token matches the stored hash.
+ * @param {string} token
+ * @param {string} tokenHash
+ * @return {boolean}
+ */
+function tokenMatches(token, tokenHash) {
+  const actual = Buffer.from(hashToken(token), "hex");
+  const expected = Buffer.from(tokenHash || "", "hex");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Status shown to clients: pending invitations past their expiry are
+ * "expired".
+ * @param {object} invitation
+ * @param {Date} [now]
+ * @return {string}
+ */
+function getEffectiveStatus(invitation, now = new Date()) {
+  if (
+    invitation.status === "pending" &&
+    invitation.expiresAt.toDate() <= now
+  ) {
+    return "expired";
+  }
+  return invitation.status;
+}
+
+/**
+ * Invitation as returned by callables, without the token hash.
+ * @param {object} doc
+ * @return {object}
+ */
+function serializeInvitation(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    email: data.email,
+    name: data.name,
+    mobile: data.mobile || null,
+    assignedStores: data.assignedStores,
+    status: getEffectiveStatus(data),
+    invitedBy: data.invitedBy,
+    sentCount: data.sentCount || 0,
+    uid: data.uid || null,
+    createdAt: toIsoString(data.createdAt),
+    lastSentAt: toIsoString(data.lastSentAt),
+    expiresAt: toIsoString(data.expiresAt),
+    acceptedAt: toIsoString(data.acceptedAt),
+    revokedAt: toIsoString(data.revokedAt),
+  };
+}
+
+/**
+ * Generates the sign-in link that completes an invitation and emails it.
+ * The link is an Admin SDK email sign-in link, so following it proves the
+ * staff member owns the address; the app then calls
+ * `acceptStaffInvitation` with the id and token from the link and lets
+ * them choose a password.
+ * @param {string} invitationId
+ * @param {object} invitation `{email, name}`
+ * @param {string} token
+ * @param {Date} expiresAt
+ * @return {Promise<string>} Id from the email transport
+ */
+async function sendInvitationEmail(invitationId, invitation, token, expiresAt) {
+  const url = new URL(INVITE_URL.value());
+  url.searchParams.set("invitationId", invitationId);
+  url.searchParams.set("token", token);
+  const link = await getAuth().generateSignInWithEmailLink(invitation.email, {
+    url: url.toString(),
+    handleCodeInApp: true,
+  });
+
+  const expires = expiresAt.toISOString().slice(0, 10);
+  const {id} = await sendEmail({
+    to: invitation.email,
+    subject: "You're invited to join Fixisy",
+    text:
+      `Hi ${invitation.name},\n\n` +
+      "You have been invited to join your team on Fixisy. Open this link " +
+      `to set up your account (valid until ${expires}):\n\n${link}\n`,
+    html:
+      `<p>Hi ${escapeHtml(invitation.name)},</p>` +
+      "<p>You have been invited to join your team on Fixisy.</p>" +
+      `<p><a href="${escapeHtml(link)}">Set up your account</a> ` +
+      `(valid until ${expires}).</p>`,
+  });
+  return id;
+}
+
+/**
+ * Escapes text for the invitation email's HTML body.
+ * @param {string} text
+ * @return {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+}
+
+/**
+ * A new token and expiry for an invitation being (re)sent.
+ * @return {object} `{token, tokenHash, expiresAt}`
+ */
+function newInvitationToken() {
+  const token = randomBytes(32).toString("base64url");
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 86400000),
+  };
+}
+
+/**
+ * Loads an invitation whose stores the caller can all manage, or throws.
+ * @param {object} caller
+ * @param {string} invitationId
+ * @return {Promise<object>} The invitation snapshot
+ */
+async function loadManageableInvitation(caller, invitationId) {
+  const invitationDoc = await invitationsRef.doc(invitationId).get();
+  if (!invitationDoc.exists) {
+    throw new HttpsError("not-found", "Invitation not found", {
+      reason: "invitation_not_found",
+    });
+  }
+  invitationDoc.data().storeIds.forEach((storeId) =>
+    assertCanManageStore(caller, storeId),
+  );
+  return invitationDoc;
+}
+
+/**
+ * Throws `failed-precondition` unless the invitation is still pending.
+ * @param {object} invitation
+ * @param {boolean} [allowExpired] Accept pending invitations past expiry,
+ *   which can still be resent or revoked
+ */
+function assertPending(invitation, allowExpired = false) {
+  const status = allowExpired ?
+    invitation.status :
+    getEffectiveStatus(invitation);
+  if (status !== "pending") {
+    throw new HttpsError(
+        "failed-precondition",
+        `Invitation is ${status}`,
+        {reason: `invitation_${status}`, status},
+    );
+  }
+}
+
+const CREATE_INVITATION_SCHEMA = {
+  email: {type: "string", required: true, format: "email"},
+  name: REQUIRED_TEXT,
+  mobile: {type: "string", format: "phone"},
+  assignedStores: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    items: {
+      type: "object",
+      properties: {
+        storeId: REQUIRED_ID,
+        permissions: PERMISSIONS,
+        roleTemplateId: ID,
+      },
+    },
+  },
+};
+
+/**
+ * Invites a staff member by email instead of choosing a password for
+ * them. No account exists until they accept.
+ */
+export const createStaffInvitation = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const data = validateRequest(request, CREATE_INVITATION_SCHEMA);
+  const email = data.email.trim().toLowerCase();
+  const storeIds = [
+    ...new Set(data.assignedStores.map((store) => store.storeId)),
+  ];
+
+  const caller = await getCallerContext(auth.uid);
+  storeIds.forEach((storeId) => assertCanManageStore(caller, storeId));
+  const assignedStores = (await expandAssignments(data.assignedStores)).map(
+      (assignment) => ({...assignment, isActive: true}),
+  );
+
+  try {
+    const existingUser = await getAuth()
+        .getUserByEmail(email)
+        .catch((error) => {
+          if (error.code === "auth/user-not-found") {
+            return null;
+          }
+          throw error;
+        });
+    if (existingUser) {
+      throw new HttpsError(
+          "already-exists",
+          "An account with this email already exists; assign it to the " +
+            "store instead",
+          {reason: "email_already_registered"},
+      );
+    }
+
+    const pending = await invitationsRef
+        .where("email", "==", email)
+        .where("status", "==", "pending")
+        .get();
+    const active = pending.docs.find(
+        (doc) => getEffectiveStatus(doc.data()) === "pending",
+    );
+    if (active) {
+      throw new HttpsError(
+          "already-exists",
+          "This email already has a pending invitation; resend it instead",
+          {reason: "invitation_pending", invitationId: active.id},
+      );
+    }
+
+    const {token, tokenHash, expiresAt} = newInvitationToken();
+    const invitationRef = invitationsRef.doc();
+    const invitation = {
+      email,
+      name: data.name,
+      mobile: data.mobile || null,
+      assignedStores,
+      storeIds,
+      status: "pending",
+      tokenHash,
+      invitedBy: auth.uid,
+      sentCount: 0,
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: Timestamp.fromDate(expiresAt),
+    };
+    await invitationRef.set(invitation);
+
+    const emailId = await sendInvitationEmail(
+        invitationRef.id,
+        invitation,
+        token,
+        expiresAt,
+    );
+    await invitationRef.update({
+      sentCount: FieldValue.increment(1),
+      lastSentAt: FieldValue.serverTimestamp(),
+      lastEmailId: emailId,
+    });
+
+    log("DEBUG: Staff invitation created:", {
+      invitationId: invitationRef.id,
+      email,
+      storeIds,
+    });
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "invitation.create",
+      storeIds,
+      target: {type: "invitation", id: invitationRef.id},
+      details: {email, assignedStores},
+    });
+    return {
+      success: true,
+      invitationId: invitationRef.id,
+      expiresAt: expiresAt.toISOString(),
+    };
+  } catch (error) {
+    throw toHttpsError(error, "createStaffInvitation");
+  }
+});
+
+/**
+ * Lists the invitations of a store, newest first; `status` filters by
+ * "pending", "accepted", "revoked" or "expired".
+ */
+export const listStaffInvitations = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {storeId, status} = validateRequest(request, {
+    storeId: REQUIRED_ID,
+    status: {type: "string", enum: [...INVITATION_STATUSES, "expired"]},
+  });
+
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, storeId);
+
+  try {
+    const snapshot = await invitationsRef
+        .where("storeIds", "array-contains", storeId)
+        .get();
+    const invitations = snapshot.docs
+        .map(serializeInvitation)
+        .filter((invitation) => !status || invitation.status === status)
+        .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+    return {success: true, invitations};
+  } catch (error) {
+    throw toHttpsError(error, "listStaffInvitations");
+  }
+});
+
+/**
+ * Sends a pending (or expired) invitation again with a new link; earlier
+ * links stop working.
+ */
+export const resendStaffInvitation = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {invitationId} = validateRequest(request, {invitationId: REQUIRED_ID});
+
+  const caller = await getCallerContext(auth.uid);
+  const invitationDoc = await loadManageableInvitation(caller, invitationId);
+  const invitation = invitationDoc.data();
+  assertPending(invitation, true);
+
+  try {
+    const {token, tokenHash, expiresAt} = newInvitationToken();
+    await invitationDoc.ref.update({
+      tokenHash,
+      expiresAt: Timestamp.fromDate(expiresAt),
+    });
+    const emailId = await sendInvitationEmail(
+        invitationId,
+        invitation,
+        token,
+        expiresAt,
+    );
+    await invitationDoc.ref.update({
+      sentCount: FieldValue.increment(1),
+      lastSentAt: FieldValue.serverTimestamp(),
+      lastEmailId: emailId,
+      resentBy: auth.uid,
+    });
+
+    log("DEBUG: Staff invitation resent:", {invitationId});
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "invitation.resend",
+      storeIds: invitation.storeIds,
+      target: {type: "invitation", id: invitationId},
+      details: {email: invitation.email},
+    });
+    return {success: true, invitationId, expiresAt: expiresAt.toISOString()};
+  } catch (error) {
+    throw toHttpsError(error, "resendStaffInvitation");
+  }
+});
+
+/**
+ * Withdraws a pending invitation so its link can no longer be accepted.
+ */
+export const revokeStaffInvitation = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {invitationId} = validateRequest(request, {invitationId: REQUIRED_ID});
+
+  const caller = await getCallerContext(auth.uid);
+  const invitationDoc = await loadManageableInvitation(caller, invitationId);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(invitationDoc.ref);
+      assertPending(current.data(), true);
+      transaction.update(invitationDoc.ref, {
+        status: "revoked",
+        revokedAt: FieldValue.serverTimestamp(),
+        revokedBy: auth.uid,
+      });
+    });
+
+    log("DEBUG: Staff invitation revoked:", {invitationId});
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "invitation.revoke",
+      storeIds: invitationDoc.data().storeIds,
+      target: {type: "invitation", id: invitationId},
+      details: {email: invitationDoc.data().email},
+    });
+    return {success: true, invitationId};
+  } catch (error) {
+    throw toHttpsError(error, "revokeStaffInvitation");
+  }
+});
+
+/**
+ * Completes an invitation. The invitee calls this signed in through the
+ * emailed link (so their verified email matches the invitation) with the
+ * id and token from it; their staff profile is then created with the
+ * invited stores and permissions.
+ */
+export const acceptStaffInvitation = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  const auth = requireAuth(request);
+  const {invitationId, token} = validateRequest(request, {
+    invitationId: REQUIRED_ID,
+    token: {...ID, required: true},
+  });
+
+  const email = (auth.token.email || "").toLowerCase();
+  const invitationRef = invitationsRef.doc(invitationId);
+  const userRef = db.collection("users").doc(auth.uid);
+
+  try {
+    let profile = null;
+    const invitation = await db.runTransaction(async (transaction) => {
+      const [invitationDoc, userDoc] = await Promise.all([
+        transaction.get(invitationRef),
+        transaction.get(userRef),
+      ]);
+      if (
+        !invitationDoc.exists ||
+        !tokenMatches(token, invitationDoc.data().tokenHash)
+      ) {
+        throw new HttpsError("not-found", "Invitation not found", {
+          reason: "invitation_not_found",
+        });
+      }
+      const data = invitationDoc.data();
+      assertPending(data);
+      if (!auth.token.email_verified || email !== data.email) {
+        throw new HttpsError(
+            "permission-denied",
+            "Sign in with the invited email address to accept",
+            {reason: "invitation_email_mismatch"},
+        );
+      }
+      if (userDoc.exists) {
+        throw new HttpsError(
+            "already-exists",
+            "This account already has a profile",
+            {reason: "profile_exists"},
+        );
+      }
+
+      profile = {
+        uid: auth.uid,
+        email: data.email,
+        name: data.name,
+        mobile: data.mobile || null,
+        role: "staff",
+        assignedStores: data.assignedStores,
+        assignedStoreIds: getAssignedStoreIds(data.assignedStores),
+        ...resolveActiveStore(data.assignedStores),
+        invitationId,
+        invitedBy: data.invitedBy,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        active: true,
+      };
+      transaction.set(userRef, profile);
+      transaction.update(invitationRef, {
+        status: "accepted",
+        uid: auth.uid,
+        acceptedAt: FieldValue.serverTimestamp(),
+        tokenHash: FieldValue.delete(),
+      });
+      return data;
+    });
+
+    await getAuth().updateUser(auth.uid, {displayName: invitation.name});
+
+    log("DEBUG: Staff invitation accepted:", {invitationId, uid: auth.uid});
+    await recordStaffAudit(
+        auth.uid,
+        "invitation.accept",
+        auth.uid,
+        null,
+        profile,
+        {invitationId, invitedBy: invitation.invitedBy},
+    );
+    return {success: true, uid: auth.uid, storeIds: invitation.storeIds};
+  } catch (error) {
+    throw toHttpsError(error, "acceptStaffInvitation");
+  }
+});
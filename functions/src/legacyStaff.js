@@ -0,0 +1,238 @@
+import {onCall} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {defineString} from "firebase-functions/params";
+import {FieldPath, FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth, getCallerContext, assertIsAdmin} from "./authz.js";
+import {getAssignedStoreIds, resolveActiveStore} from "./activeStore.js";
+import {recordStaffAudit} from "./audit.js";
+import {toHttpsError} from "./errors.js";
+import {ID, validateRequest} from "./validation.js";
+
+export const LEGACY_STAFF_MODES = ["allow", "convert", "reject"];
+
+// How createStaffUser treats `businessId` without `assignedStores`: "allow"
+// writes the legacy shape, "convert" writes it as a single assignment and
+// "reject" refuses it once the migration is done
+const LEGACY_STAFF_MODE = defineString("LEGACY_STAFF_MODE", {
+  description: "allow, convert or reject legacy businessId staff creation",
+  default: "allow",
+});
+
+const DEFAULT_BATCH_LIMIT = 200;
+const MAX_BATCH_LIMIT = 500;
+
+// Progress of the migration, so a later run resumes where this one stopped
+const progressRef = db.collection("migrations").doc("legacyStaff");
+
+/**
+ * The configured legacy `businessId` mode.
+ * @return {string} "allow", "convert" or "reject"
+ */
+export function getLegacyStaffMode() {
+  const mode = LEGACY_STAFF_MODE.value();
+  return LEGACY_STAFF_MODES.includes(mode) ? mode : "allow";
+}
+
+/**
+ * What a legacy profile looks like in the multi-store model: `businessId`
+ * becomes an active assignment carrying the profile's permissions, next to
+ * any assignments it already had. Other profiles only get
+ * `assignedStoreIds` when it is missing or stale. Returns null when nothing
+ * changes, so running the migration again changes nothing.
+ * @param {object} staffData
+ * @return {object|null} `{assignedStores, assignedStoreIds, activeStoreId,
+ *   permissions}`, or `{assignedStoreIds}` for profiles without
+ *   `businessId`
+ */
+export function convertLegacyStaff(staffData) {
+  const {businessId} = staffData;
+  if (!businessId) {
+    const assignedStoreIds = getAssignedStoreIds(staffData.assignedStores);
+    const current = staffData.assignedStoreIds;
+    return Array.isArray(current) &&
+      current.join(";") === assignedStoreIds.join(";") ?
+      null :
+      {assignedStoreIds};
+  }
+
+  const assignedStores = [...(staffData.assignedStores || [])];
+  const hasAssignment = assignedStores.some(
+      (assignment) => assignment?.storeId === businessId,
+  );
+  if (!hasAssignment) {
+    assignedStores.push({
+      storeId: businessId,
+      permissions: staffData.permissions || [],
+      isActive: true,
+    });
+  }
+  return {
+    assignedStores,
+    assignedStoreIds: getAssignedStoreIds(assignedStores),
+    ...resolveActiveStore(
+        assignedStores,
+        staffData.activeStoreId || businessId,
+    ),
+  };
+}
+
+/**
+ * Converts one profile in a transaction, re-reading it so concurrent staff
+ * changes are not overwritten, and records the change in the audit log.
+ * @param {object} staffRef
+ * @param {string} actorUid Who runs the migration
+ * @return {Promise<boolean>} Whether the profile changed
+ */
+async function migrateProfile(staffRef, actorUid) {
+  const change = await db.runTransaction(async (transaction) => {
+    const staffDoc = await transaction.get(staffRef);
+    const converted = staffDoc.exists ?
+      convertLegacyStaff(staffDoc.data()) :
+      null;
+    if (!converted) {
+      return null;
+    }
+    const {businessId} = staffDoc.data();
+    transaction.update(staffRef, {
+      ...converted,
+      ...(businessId && {
+        businessId: FieldValue.delete(),
+        migratedFromBusinessId: businessId,
+        migratedAt: FieldValue.serverTimestamp(),
+      }),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return {before: staffDoc.data(), converted};
+  });
+  if (!change) {
+    return false;
+  }
+
+  // Filling `assignedStoreIds` alone changes no access
+  const {before, converted} = change;
+  if (before.businessId) {
+    const after = {...before, ...converted};
+    delete after.businessId;
+    await recordStaffAudit(
+        actorUid,
+        "staff.migrate",
+        staffRef.id,
+        before,
+        after,
+        {migratedFromBusinessId: before.businessId},
+    );
+  }
+  return true;
+}
+
+/**
+ * Admin job converting legacy `businessId` staff profiles to
+ * `assignedStores`/`activeStoreId`, and filling `assignedStoreIds` on
+ * profiles written before it existed. Dry runs (the default) report what
+ * would change without writing. Each call handles up to `limit` staff
+ * profiles in uid order and records where it stopped: call again with
+ * `resume: true` (or `startAfter`) until `done`. Converted profiles are
+ * skipped, so rerunning is safe.
+ */
+export const migrateLegacyStaff = onCall(
+    {timeoutSeconds: 540},
+    async (request) => {
+      log("DEBUG: request.auth:", request.auth);
+      log("DEBUG: request.data:", request.data);
+      const auth = requireAuth(request);
+      const {dryRun = true, limit, startAfter, resume} = validateRequest(
+          request,
+          {
+            dryRun: {type: "boolean"},
+            limit: {type: "integer", min: 1, max: MAX_BATCH_LIMIT},
+            startAfter: ID,
+            resume: {type: "boolean"},
+          },
+      );
+      const caller = await getCallerContext(auth.uid);
+      assertIsAdmin(caller);
+
+      try {
+        let cursor = startAfter || null;
+        if (!cursor && resume && !dryRun) {
+          const progressDoc = await progressRef.get();
+          cursor = progressDoc.exists ? progressDoc.data().cursor : null;
+        }
+
+        let query = db
+            .collection("users")
+            .where("role", "==", "staff")
+            .orderBy(FieldPath.documentId())
+            .limit(limit || DEFAULT_BATCH_LIMIT);
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+
+        const changes = [];
+        let migrated = 0;
+        for (const doc of snapshot.docs) {
+          const converted = convertLegacyStaff(doc.data());
+          if (!converted) {
+            continue;
+          }
+          changes.push({
+            uid: doc.id,
+            businessId: doc.data().businessId || null,
+            before: {
+              assignedStores: doc.data().assignedStores || [],
+              activeStoreId: doc.data().activeStoreId || null,
+              permissions: doc.data().permissions || [],
+            },
+            after: converted,
+          });
+          if (!dryRun && (await migrateProfile(doc.ref, auth.uid))) {
+            migrated += 1;
+          }
+        }
+
+        const done = snapshot.size < (limit || DEFAULT_BATCH_LIMIT);
+        const nextCursor = done ?
+          null :
+          snapshot.docs[snapshot.docs.length - 1].id;
+
+        if (!dryRun) {
+          await progressRef.set(
+              {
+                cursor: nextCursor,
+                done,
+                scanned: FieldValue.increment(snapshot.size),
+                migrated: FieldValue.increment(migrated),
+                lastRunBy: auth.uid,
+                updatedAt: FieldValue.serverTimestamp(),
+                completedAt: done ? FieldValue.serverTimestamp() : null,
+              },
+              {merge: true},
+          );
+        }
+
+        log("DEBUG: Legacy staff migration batch:", {
+          dryRun,
+          scanned: snapshot.size,
+          changed: changes.length,
+          migrated,
+          nextCursor,
+        });
+        return {
+          success: true,
+          dryRun,
+          scanned: snapshot.size,
+          legacyCount: changes.filter((change) => change.businessId).length,
+          changedCount: changes.length,
+          migrated,
+          changes,
+          nextCursor,
+          done,
+          mode: getLegacyStaffMode(),
+        };
+      } catch (error) {
+        throw toHttpsError(error, "migrateLegacyStaff");
+      }
+    },
+);
@@ -0,0 +1,406 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanAccessStore,
+  canAccessStore,
+} from "./authz.js";
+import {maskToken} from "./push/prune.js";
+import {getTokenDeviceId} from "./devices.js";
+import {getStoreCountry, normalizePhone} from "./phone.js";
+import {toHttpsError} from "./errors.js";
+import {ID, REQUIRED_ID, fieldError, validateRequest} from "./validation.js";
+
+// Firestore allows at most 500 writes per batch
+const WRITE_BATCH_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PAGE_SIZE = {type: "integer", min: 1};
+
+/**
+ * Converts a Firestore Timestamp to an ISO string for callable responses.
+ * @param {object} [timestamp]
+ * @return {string|null}
+ */
+export function toIsoString(timestamp) {
+  return timestamp && typeof timestamp.toDate === "function" ?
+    timestamp.toDate().toISOString() :
+    null;
+}
+
+/**
+ * Overall outcome of a send, derived from its delivery counts.
+ * @param {object|null} delivery
+ * @return {string}
+ */
+export function getSendStatus(delivery) {
+  if (!delivery || delivery.totalTokens === 0) {
+    return "no_recipients";
+  }
+  if (delivery.totalFailure === 0) {
+    return "sent";
+  }
+  return delivery.totalSuccess > 0 ? "partial" : "failed";
+}
+
+/**
+ * The notification's `status` and `job.completedAt` for its progress:
+ * "sending" until every batch is done or could not be queued, then the
+ * outcome of the delivered batches. Batches that were never sent make a
+ * send that otherwise went through "partial".
+ * @param {object} totals `{totalTokens, successCount, failureCount}`
+ * @param {object} job `{batches, completedBatches, failedBatches}`
+ * @return {object} Fields to update
+ */
+export function getJobStatus(totals, job) {
+  const failedBatches = job.failedBatches || 0;
+  if (job.completedBatches + failedBatches < job.batches) {
+    return {"status": "sending", "job.completedAt": null};
+  }
+  let status = getSendStatus({
+    totalTokens: totals.totalTokens,
+    totalSuccess: totals.successCount,
+    totalFailure: totals.failureCount,
+  });
+  if (failedBatches > 0 && status !== "failed") {
+    status = job.completedBatches > 0 && totals.successCount > 0 ?
+      "partial" :
+      "failed";
+  }
+  return {status, "job.completedAt": FieldValue.serverTimestamp()};
+}
+
+/**
+ * The fields every notification document has, without delivery counts.
+ * @param {object} entry See `recordNotification`
+ * @return {object}
+ */
+function toNotificationRecord(entry) {
+  return {
+    kind: entry.kind,
+    senderUid: entry.senderUid || null,
+    businessId: entry.businessId || null,
+    title: entry.title,
+    body: entry.body,
+    templateId: entry.templateId || null,
+    variables: entry.variables || null,
+    imageUrl: entry.imageUrl || null,
+    data: entry.data || {},
+    mobile: entry.mobile || null,
+    repairId: entry.repairId || null,
+    audience: entry.audience || null,
+    audienceSize: entry.audienceSize || 0,
+    skippedCount: entry.skippedCount || 0,
+    deferredCount: entry.deferredCount || 0,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Writes one document per device to a notification's `deliveries`.
+ * @param {object} notificationRef
+ * @param {object[]} results Per-token results of `deliver`
+ * @param {Map<string, object>} [recipients] token -> {uid, mobile}
+ * @param {string} [batchId] Keys the documents on the batch and token, so
+ *   a retried batch overwrites its deliveries instead of adding them again
+ */
+export async function recordDeliveries(
+    notificationRef,
+    results,
+    recipients,
+    batchId,
+) {
+  const deliveriesRef = notificationRef.collection("deliveries");
+  for (let i = 0; i < results.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    results.slice(i, i + WRITE_BATCH_SIZE).forEach((result) => {
+      const recipient = recipients?.get(result.token) || {};
+      const deliveryRef = batchId === undefined ?
+        deliveriesRef.doc() :
+        deliveriesRef.doc(`${batchId}-${getTokenDeviceId(result.token)}`);
+      batch.set(deliveryRef, {
+        token: maskToken(result.token),
+        transport: result.transport,
+        success: result.success,
+        messageId: result.messageId || null,
+        errorCode: result.error ? result.error.code : null,
+        errorMessage: result.error ? result.error.message || null : null,
+        uid: recipient.uid || null,
+        mobile: recipient.mobile || null,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Creates the notification document of a send that workers deliver in
+ * parts, with `status: "sending"` and zeroed counts they add to. Unlike
+ * `recordNotification` this throws, since the send cannot go ahead
+ * without it.
+ * @param {object} entry See `recordNotification`
+ * @param {object} job Progress fields, stored as `job`
+ * @return {Promise<object>} The notification reference
+ */
+export async function createNotificationJob(entry, job) {
+  const notificationRef = db.collection("notifications").doc();
+  await notificationRef.set({
+    ...toNotificationRecord(entry),
+    totalTokens: 0,
+    successCount: 0,
+    failureCount: 0,
+    prunedCount: 0,
+    status: "sending",
+    job,
+  });
+  return notificationRef;
+}
+
+/**
+ * Persists a send to the `notifications` collection, with one document per
+ * device in its `deliveries` subcollection. Recording is best effort: a
+ * failure is logged and never fails the send itself.
+ * @param {object} entry
+ * @param {string} entry.kind "broadcast", "status_update" or "repair_status"
+ * @param {string|null} entry.senderUid Null for system sends (triggers)
+ * @param {string|null} entry.businessId
+ * @param {string} entry.title
+ * @param {string} entry.body
+ * @param {string} [entry.templateId] Template the content was rendered from
+ * @param {object} [entry.variables] Caller-supplied template variables
+ * @param {string} [entry.imageUrl]
+ * @param {object} [entry.data]
+ * @param {string} [entry.mobile] Recipient of a single-customer send
+ * @param {string} [entry.repairId]
+ * @param {object} [entry.audience] Audience filters of a broadcast
+ * @param {number} entry.audienceSize Number of customers targeted
+ * @param {number} [entry.skippedCount] Customers skipped by preferences
+ * @param {number} [entry.deferredCount] Customers deferred by quiet hours
+ * @param {Map<string, object>} [entry.recipients] token -> {uid, mobile}
+ * @param {object|null} entry.delivery Result of `deliver`, if anything was sent
+ * @param {string} [entry.notificationId] Id to record it under, when
+ *   deferred sends already point to it
+ * @return {Promise<string|null>} The notification id
+ */
+export async function recordNotification({
+  notificationId,
+  kind,
+  senderUid,
+  businessId,
+  title,
+  body,
+  templateId,
+  variables,
+  imageUrl,
+  data,
+  mobile,
+  repairId,
+  audience,
+  audienceSize,
+  skippedCount,
+  deferredCount,
+  recipients,
+  delivery,
+}) {
+  try {
+    const notificationRef = notificationId ?
+      db.collection("notifications").doc(notificationId) :
+      db.collection("notifications").doc();
+    const results = delivery ? delivery.results : [];
+
+    await notificationRef.set({
+      ...toNotificationRecord({
+        kind,
+        senderUid,
+        businessId,
+        title,
+        body,
+        templateId,
+        variables,
+        imageUrl,
+        data,
+        mobile,
+        repairId,
+        audience,
+        audienceSize,
+        skippedCount,
+        deferredCount,
+      }),
+      totalTokens: delivery ? delivery.totalTokens : 0,
+      successCount: delivery ? delivery.totalSuccess : 0,
+      failureCount: delivery ? delivery.totalFailure : 0,
+      prunedCount: delivery?.pruned ? delivery.pruned.count : 0,
+      status: getSendStatus(delivery),
+    });
+    await recordDeliveries(notificationRef, results, recipients);
+
+    log("DEBUG: Recorded notification:", {
+      notificationId: notificationRef.id,
+      kind,
+      businessId,
+      deliveries: results.length,
+    });
+    return notificationRef.id;
+  } catch (error) {
+    log("DEBUG: Error recording notification:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Shapes a notification or delivery document for callable responses.
+ * @param {object} doc
+ * @return {object}
+ */
+function serializeDoc(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toIsoString(data.createdAt),
+    ...(data.job && {
+      job: {...data.job, completedAt: toIsoString(data.job.completedAt)},
+    }),
+  };
+}
+
+/**
+ * Clamps a requested page size.
+ * @param {*} limit
+ * @return {number}
+ */
+function getPageSize(limit) {
+  const size = Number(limit) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(Math.floor(size), 1), MAX_PAGE_SIZE);
+}
+
+export const listNotifications = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId, kind, mobile, limit, startAfter} = validateRequest(
+      request,
+      {
+        businessId: REQUIRED_ID,
+        kind: ID,
+        mobile: ID,
+        limit: PAGE_SIZE,
+        startAfter: ID,
+      },
+  );
+  const caller = await getCallerContext(auth.uid);
+  assertCanAccessStore(caller, businessId);
+
+  const pageSize = getPageSize(limit);
+  let query = db.collection("notifications")
+      .where("businessId", "==", businessId);
+  if (kind) {
+    query = query.where("kind", "==", kind);
+  }
+  if (mobile) {
+    query = query.where(
+        "mobile",
+        "==",
+        normalizePhone(mobile, await getStoreCountry(businessId)) || mobile,
+    );
+  }
+  query = query.orderBy("createdAt", "desc").limit(pageSize + 1);
+
+  if (startAfter) {
+    const cursorDoc = await db
+        .collection("notifications")
+        .doc(startAfter)
+        .get();
+    if (!cursorDoc.exists || cursorDoc.data().businessId !== businessId) {
+      throw fieldError("startAfter", "is not a valid cursor");
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  try {
+    const snapshot = await query.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const hasMore = snapshot.docs.length > pageSize;
+
+    return {
+      success: true,
+      notifications: docs.map(serializeDoc),
+      nextCursor: hasMore ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    throw toHttpsError(error, "listNotifications");
+  }
+});
+
+export const getNotification = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {notificationId, mobile, limit, startAfter} = validateRequest(
+      request,
+      {
+        notificationId: REQUIRED_ID,
+        mobile: ID,
+        limit: PAGE_SIZE,
+        startAfter: ID,
+      },
+  );
+
+  const notificationRef = db.collection("notifications").doc(notificationId);
+  const notificationDoc = await notificationRef.get();
+  if (!notificationDoc.exists) {
+    throw new HttpsError("not-found", "Notification not found", {
+      reason: "notification_not_found",
+    });
+  }
+
+  // Sends without a business are only visible to their sender
+  const notification = notificationDoc.data();
+  const caller = await getCallerContext(auth.uid);
+  const allowed = notification.businessId ?
+    canAccessStore(caller, notification.businessId) :
+    caller.isAdmin || notification.senderUid === auth.uid;
+  if (!allowed) {
+    throw new HttpsError(
+        "permission-denied",
+        "You are not allowed to view this notification",
+        {reason: "notification_access_denied"},
+    );
+  }
+
+  try {
+    const pageSize = getPageSize(limit);
+    let query = notificationRef.collection("deliveries");
+    if (mobile) {
+      const country = await getStoreCountry(notification.businessId);
+      query = query.where(
+          "mobile",
+          "==",
+          normalizePhone(mobile, country) || mobile,
+      );
+    }
+    query = query.orderBy("__name__").limit(pageSize + 1);
+    if (startAfter) {
+      query = query.startAfter(startAfter);
+    }
+
+    const snapshot = await query.get();
+    const docs = snapshot.docs.slice(0, pageSize);
+    const hasMore = snapshot.docs.length > pageSize;
+
+    return {
+      success: true,
+      notification: serializeDoc(notificationDoc),
+      deliveries: docs.map(serializeDoc),
+      nextCursor: hasMore ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    throw toHttpsError(error, "getNotification");
+  }
+});
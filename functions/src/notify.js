@@ -0,0 +1,232 @@
+import {log} from "firebase-functions/logger";
+import {db} from "./firebase.js";
+import {collectDevices, deliverEach} from "./push/index.js";
+import {maskToken} from "./push/prune.js";
+import {loadUserDevices} from "./devices.js";
+import {recordNotification} from "./notificationHistory.js";
+import {evaluatePreferences} from "./preferences.js";
+import {deferNotifications} from "./deferredNotifications.js";
+import {
+  buildTemplateVariables,
+  getPreferredLocale,
+  pickVariant,
+  renderTemplate,
+} from "./templates.js";
+
+/**
+ * Per-token results with only the tail of each token, for callers and
+ * logs.
+ * @param {object[]} results Per-token results of `deliver`
+ * @return {object[]}
+ */
+function maskResults(results) {
+  return results.map((result) => ({...result, token: maskToken(result.token)}));
+}
+
+/**
+ * Sends a notification to every device of the user(s) with this mobile
+ * number. Supports both FCM and APNs tokens, with image and data payloads.
+ * Users who turned off status updates are skipped and users in quiet hours
+ * get the notification when those end.
+ * @param {string} mobile E.164 number, matched to users' `mobileE164`
+ * @param {object} notification
+ * @param {string} [notification.title] Required without `template`
+ * @param {string} [notification.message] Required without `template`
+ * @param {object} [notification.template] Rendered per user in their locale
+ * @param {object} [notification.variables] Template variables
+ * @param {object} [notification.repair] `{id, ...}` for template variables
+ * @param {object} [notification.store] `{id, ...}` for template variables
+ * @param {string} [notification.imageUrl]
+ * @param {object} [notification.data]
+ * @param {object} [context] Recorded with the notification history
+ * @param {string} [context.kind] Defaults to "status_update"
+ * @param {string} [context.senderUid]
+ * @param {string} [context.businessId]
+ * @param {string} [context.repairId]
+ * @return {Promise<object>}
+ */
+export async function sendToMobile(
+    mobile,
+    {title, message, template, variables, repair, store, imageUrl, data},
+    context = {},
+) {
+  const defaultVariant = template ? pickVariant(template, null) : null;
+  const history = {
+    // Allocated up front so deferred sends can add to it
+    notificationId: db.collection("notifications").doc().id,
+    kind: context.kind || "status_update",
+    senderUid: context.senderUid || null,
+    businessId: context.businessId || null,
+    repairId: context.repairId || null,
+    title: template ? defaultVariant.title : title,
+    body: template ? defaultVariant.message : message,
+    templateId: template ? template.id : null,
+    variables: variables || null,
+    imageUrl,
+    data,
+    mobile,
+  };
+
+  // Query Firestore for user with this mobile number
+  const usersRef = db.collection("users");
+  log("DEBUG: Querying users collection for mobile:", mobile);
+  const snapshot = await usersRef.where("mobileE164", "==", mobile).get();
+
+  if (snapshot.empty) {
+    log("DEBUG: No user found with this mobile number:", mobile);
+    const notificationId = await recordNotification({
+      ...history,
+      audienceSize: 0,
+      delivery: null,
+    });
+    return {
+      success: false,
+      reason: "customer_not_found",
+      error: "No user found with this mobile number",
+      notificationId,
+    };
+  }
+
+  // Collect all tokens for all users with this mobile
+  const now = new Date();
+  const tokens = [];
+  const messages = new Map();
+  const recipients = new Map();
+  const devices = new Map();
+  const deferredEntries = [];
+  const skipped = {count: 0, reasons: {}};
+  const userDevices = await loadUserDevices(
+      snapshot.docs.map((doc) => doc.id),
+  );
+  snapshot.docs.forEach((doc) => {
+    const userData = doc.data();
+    log("DEBUG: Devices for mobile:", mobile, {
+      uid: doc.id,
+      deviceCount: userDevices.get(doc.id).length,
+    });
+    const decision = evaluatePreferences(userData, history, now);
+    if (decision.action === "skip") {
+      skipped.count += 1;
+      skipped.reasons[decision.reason] =
+        (skipped.reasons[decision.reason] || 0) + 1;
+      return;
+    }
+
+    const content = template ?
+      renderTemplate(template, {
+        locale: getPreferredLocale(userData),
+        variables: buildTemplateVariables({userData, repair, store, variables}),
+      }) :
+      {title, message};
+
+    if (decision.action === "defer") {
+      deferredEntries.push({
+        ...history,
+        title: content.title,
+        body: content.message,
+        uid: doc.id,
+        deliverAt: decision.deliverAt,
+      });
+      return;
+    }
+
+    const key = `${content.title}\n${content.message}`;
+    if (!messages.has(key)) {
+      messages.set(key, {
+        tokens: [],
+        notification: {
+          title: content.title,
+          body: content.message,
+          imageUrl,
+          data,
+        },
+      });
+    }
+    collectDevices(userDevices.get(doc.id), devices);
+    userDevices.get(doc.id).forEach(({token}) => {
+      tokens.push(token);
+      messages.get(key).tokens.push(token);
+      recipients.set(token, {uid: doc.id, mobile});
+    });
+  });
+
+  log("DEBUG: Tokens found for mobile:", tokens);
+  const deferredCount = await deferNotifications(deferredEntries);
+
+  if (tokens.length === 0 && (skipped.count > 0 || deferredCount > 0)) {
+    log("DEBUG: Notification held by customer preferences:", {
+      mobile,
+      skipped,
+      deferredCount,
+    });
+    const notificationId = await recordNotification({
+      ...history,
+      audienceSize: 1,
+      skippedCount: skipped.count,
+      deferredCount,
+      delivery: null,
+    });
+    return {
+      success: true,
+      notificationId,
+      message: deferredCount > 0 ?
+        "Notification deferred until the customer's quiet hours end" :
+        "Notification skipped by customer preferences",
+      skipped,
+      deferredCount,
+      totalTokens: 0,
+      totalSuccess: 0,
+      totalFailure: 0,
+    };
+  }
+
+  if (tokens.length === 0) {
+    log("DEBUG: No FCM or APNs tokens found for this user:", mobile);
+    const notificationId = await recordNotification({
+      ...history,
+      audienceSize: 1,
+      delivery: null,
+    });
+    return {
+      success: false,
+      reason: "no_devices",
+      error: "No FCM or APNs tokens found for this user",
+      notificationId,
+    };
+  }
+
+  const delivery = await deliverEach(Array.from(messages.values()), {
+    devices,
+  });
+
+  log("DEBUG: Notification sent. Summary:", {
+    totalTokens: delivery.totalTokens,
+    totalSuccess: delivery.totalSuccess,
+    totalFailure: delivery.totalFailure,
+    results: maskResults(delivery.results),
+  });
+
+  const notificationId = await recordNotification({
+    ...history,
+    audienceSize: 1,
+    skippedCount: skipped.count,
+    deferredCount,
+    recipients,
+    delivery,
+  });
+
+  return {
+    success: true,
+    notificationId,
+    message:
+      `Notification sent to ${delivery.totalSuccess} devices` +
+      (delivery.includesApns ? " (includes APNs)" : ""),
+    skipped,
+    deferredCount,
+    totalTokens: delivery.totalTokens,
+    totalSuccess: delivery.totalSuccess,
+    totalFailure: delivery.totalFailure,
+    pruned: delivery.pruned,
+    results: maskResults(delivery.results),
+  };
+}
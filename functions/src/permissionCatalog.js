@@ -0,0 +1,84 @@
+/**
+ * Every permission a staff member can hold. Permission inputs are checked
+ * against this list (the "permission" format in validation.js), so the
+ * app's permission editor and the server agree on the names.
+ */
+export const PERMISSION_CATALOG = [
+  {
+    id: "manageStaff",
+    label: "Manage staff",
+    description: "Add and edit staff, store settings and broadcasts",
+  },
+  {
+    id: "viewRepairs",
+    label: "View repairs",
+    description: "See repairs and their history",
+  },
+  {
+    id: "createRepairs",
+    label: "Create repairs",
+    description: "Book in new repairs",
+  },
+  {
+    id: "updateRepairs",
+    label: "Update repairs",
+    description: "Edit repairs and change their status",
+  },
+  {
+    id: "deleteRepairs",
+    label: "Delete repairs",
+    description: "Remove repairs",
+  },
+  {
+    id: "manageCustomers",
+    label: "Manage customers",
+    description: "Edit customer details",
+  },
+  {
+    id: "sendStatusUpdates",
+    label: "Send status updates",
+    description: "Notify customers about their repairs",
+  },
+  {
+    id: "manageInventory",
+    label: "Manage inventory",
+    description: "Track parts and stock",
+  },
+  {
+    id: "viewReports",
+    label: "View reports",
+    description: "See sales and repair reports",
+  },
+];
+
+export const PERMISSION_IDS = PERMISSION_CATALOG.map(
+    (permission) => permission.id,
+);
+
+/**
+ * Role templates every business has. Businesses add their own in the
+ * `roleTemplates` collection.
+ */
+export const BUILT_IN_ROLE_TEMPLATES = [
+  {
+    id: "technician",
+    name: "Technician",
+    permissions: ["viewRepairs", "updateRepairs", "manageInventory"],
+  },
+  {
+    id: "front_desk",
+    name: "Front Desk",
+    permissions: [
+      "viewRepairs",
+      "createRepairs",
+      "updateRepairs",
+      "manageCustomers",
+      "sendStatusUpdates",
+    ],
+  },
+  {
+    id: "store_manager",
+    name: "Store Manager",
+    permissions: [...PERMISSION_IDS],
+  },
+];
@@ -0,0 +1,405 @@
+import {onCall} from "firebase-functions/v2/https";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {log} from "firebase-functions/logger";
+import {defineString} from "firebase-functions/params";
+import {FieldPath, FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertIsAdmin,
+  assertCanManageStore,
+} from "./authz.js";
+import {toHttpsError} from "./errors.js";
+import {ID, REQUIRED_ID, validateRequest} from "./validation.js";
+
+// Calling code and national number length (without the trunk "0") of the
+// countries stores can pick as their default
+const COUNTRIES = {
+  IN: {callingCode: "91", nationalLength: 10},
+  US: {callingCode: "1", nationalLength: 10},
+  CA: {callingCode: "1", nationalLength: 10},
+  GB: {callingCode: "44", nationalLength: 10},
+  AE: {callingCode: "971", nationalLength: 9},
+  SA: {callingCode: "966", nationalLength: 9},
+  AU: {callingCode: "61", nationalLength: 9},
+  SG: {callingCode: "65", nationalLength: 8},
+  NP: {callingCode: "977", nationalLength: 10},
+  BD: {callingCode: "880", nationalLength: 10},
+  PK: {callingCode: "92", nationalLength: 10},
+  LK: {callingCode: "94", nationalLength: 9},
+};
+
+export const PHONE_COUNTRIES = Object.keys(COUNTRIES);
+
+// Country of numbers written without a calling code, for stores that have
+// not set `defaultCountry`
+const DEFAULT_PHONE_COUNTRY = defineString("DEFAULT_PHONE_COUNTRY", {
+  description: "ISO country code assumed for phone numbers without one",
+  default: "IN",
+});
+
+// Normalized copies of the phone fields, kept up to date by triggers
+export const PHONE_FIELDS = {
+  repairs: {source: "customerMobile", target: "customerMobileE164"},
+  users: {source: "mobile", target: "mobileE164"},
+};
+
+const DEFAULT_BATCH_LIMIT = 200;
+const MAX_BATCH_LIMIT = 500;
+
+/**
+ * The configured fallback country.
+ * @return {string}
+ */
+export function getDefaultPhoneCountry() {
+  const country = DEFAULT_PHONE_COUNTRY.value();
+  return COUNTRIES[country] ? country : "IN";
+}
+
+/**
+ * Normalizes a phone number to E.164 ("+919876543210"). Numbers starting
+ * with "+" or "00" keep their calling code; others are read as national
+ * numbers of `country`, with or without the trunk "0" or the calling code.
+ * "+91 98765 43210", "09876543210" and "9876543210" all become
+ * "+919876543210" for India.
+ * @param {string|number} value
+ * @param {string} [country] ISO code, defaults to `DEFAULT_PHONE_COUNTRY`
+ * @return {string|null} null when the number cannot be normalized
+ */
+export function normalizePhone(value, country) {
+  if (typeof value !== "string" && typeof value !== "number") {
+    return null;
+  }
+  const raw = String(value).trim();
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) {
+    return null;
+  }
+
+  let international = null;
+  if (raw.startsWith("+")) {
+    international = digits;
+  } else if (digits.startsWith("00")) {
+    international = digits.slice(2);
+  }
+  if (international !== null) {
+    return /^[1-9]\d{7,14}$/.test(international) ? `+${international}` : null;
+  }
+
+  const {callingCode, nationalLength} =
+    COUNTRIES[country] || COUNTRIES[getDefaultPhoneCountry()];
+  const national = digits.replace(/^0+/, "");
+  if (national.length === nationalLength) {
+    return `+${callingCode}${national}`;
+  }
+  if (
+    national.length === callingCode.length + nationalLength &&
+    national.startsWith(callingCode)
+  ) {
+    return `+${national}`;
+  }
+  return null;
+}
+
+/**
+ * Returns a loader for the default phone country of stores; each store is
+ * read once per loader.
+ * @return {function(string): Promise<string>}
+ */
+export function createCountryLoader() {
+  const cache = new Map();
+  return (storeId) => {
+    if (!storeId) {
+      return Promise.resolve(getDefaultPhoneCountry());
+    }
+    if (!cache.has(storeId)) {
+      cache.set(
+          storeId,
+          db.collection("stores").doc(storeId).get().then((doc) => {
+            const country = doc.exists ? doc.data().defaultCountry : null;
+            return COUNTRIES[country] ? country : getDefaultPhoneCountry();
+          }),
+      );
+    }
+    return cache.get(storeId);
+  };
+}
+
+/**
+ * The default phone country of a store.
+ * @param {string|null} storeId
+ * @return {Promise<string>}
+ */
+export async function getStoreCountry(storeId) {
+  return createCountryLoader()(storeId);
+}
+
+/**
+ * The normalized number a repair's customer is matched by: the stored
+ * `customerMobileE164`, or `customerMobile` normalized for its store when
+ * the trigger has not run yet.
+ * @param {object} repairData
+ * @param {function(string): Promise<string>} [loadCountry]
+ * @return {Promise<string|null>}
+ */
+export async function getRepairCustomerPhone(
+    repairData,
+    loadCountry = getStoreCountry,
+) {
+  if (repairData.customerMobileE164) {
+    return repairData.customerMobileE164;
+  }
+  if (!repairData.customerMobile) {
+    return null;
+  }
+  return normalizePhone(
+      repairData.customerMobile,
+      await loadCountry(repairData.businessId),
+  );
+}
+
+/**
+ * The normalized value a document should store, and whether it differs
+ * from what it stores now.
+ * @param {string} collection "repairs" or "users"
+ * @param {object} data
+ * @param {function(string): Promise<string>} loadCountry
+ * @return {Promise<object>} `{normalized, changed}`
+ */
+async function computePhoneField(collection, data, loadCountry) {
+  const {source, target} = PHONE_FIELDS[collection];
+  // Customers have no store; their number comes from phone sign-in
+  const country =
+    collection === "repairs" ?
+      await loadCountry(data.businessId) :
+      getDefaultPhoneCountry();
+  const normalized = data[source] ?
+    normalizePhone(data[source], country) :
+    null;
+  return {normalized, changed: (data[target] ?? null) !== normalized};
+}
+
+/**
+ * Keeps `customerMobileE164` in step with `customerMobile`. Only writes
+ * when the value changes, so its own update ends the chain.
+ */
+export const onRepairPhoneChange = onDocumentWritten(
+    "repairs/{repairId}",
+    async (event) => {
+      if (!event.data?.after?.exists) {
+        return;
+      }
+      const {normalized, changed} = await computePhoneField(
+          "repairs",
+          event.data.after.data(),
+          getStoreCountry,
+      );
+      if (!changed) {
+        return;
+      }
+      await event.data.after.ref.update({customerMobileE164: normalized});
+      log("DEBUG: Normalized repair customer mobile:", {
+        repairId: event.params.repairId,
+        normalized,
+      });
+    },
+);
+
+/**
+ * Keeps `mobileE164` in step with `mobile` on user profiles.
+ */
+export const onUserPhoneChange = onDocumentWritten(
+    "users/{uid}",
+    async (event) => {
+      if (!event.data?.after?.exists) {
+        return;
+      }
+      const {normalized, changed} = await computePhoneField(
+          "users",
+          event.data.after.data(),
+          getStoreCountry,
+      );
+      if (!changed) {
+        return;
+      }
+      await event.data.after.ref.update({mobileE164: normalized});
+      log("DEBUG: Normalized user mobile:", {
+        uid: event.params.uid,
+        normalized,
+      });
+    },
+);
+
+/**
+ * Sets the country assumed for a store's phone numbers written without a
+ * calling code. Existing repairs keep their normalized numbers until
+ * `backfillPhoneNumbers` runs again.
+ */
+export const setStorePhoneCountry = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {storeId, country} = validateRequest(request, {
+    storeId: REQUIRED_ID,
+    country: {type: "string", required: true, enum: PHONE_COUNTRIES},
+  });
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, storeId);
+
+  try {
+    await db.collection("stores").doc(storeId).set(
+        {
+          defaultCountry: country,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        {merge: true},
+    );
+    log("DEBUG: Store phone country set:", {storeId, country});
+    return {success: true, storeId, country};
+  } catch (error) {
+    throw toHttpsError(error, "setStorePhoneCountry");
+  }
+});
+
+/**
+ * Admin job filling `customerMobileE164` on repairs or `mobileE164` on
+ * users for documents written before the triggers existed. Works like
+ * `migrateLegacyStaff`: a dry run by default, up to `limit` documents per
+ * call in id order, with progress in `migrations/{collection}Phones` so
+ * `resume: true` continues until `done`. Documents that changed since they
+ * were read are left to the trigger.
+ */
+export const backfillPhoneNumbers = onCall(
+    {timeoutSeconds: 540},
+    async (request) => {
+      log("DEBUG: request.auth:", request.auth);
+      log("DEBUG: request.data:", request.data);
+      const auth = requireAuth(request);
+      const {
+        collection,
+        dryRun = true,
+        limit,
+        startAfter,
+        resume,
+      } = validateRequest(request, {
+        collection: {
+          type: "string",
+          required: true,
+          enum: Object.keys(PHONE_FIELDS),
+        },
+        dryRun: {type: "boolean"},
+        limit: {type: "integer", min: 1, max: MAX_BATCH_LIMIT},
+        startAfter: ID,
+        resume: {type: "boolean"},
+      });
+      const caller = await getCallerContext(auth.uid);
+      assertIsAdmin(caller);
+
+      const progressRef = db
+          .collection("migrations")
+          .doc(`${collection}Phones`);
+      const pageSize = limit || DEFAULT_BATCH_LIMIT;
+
+      try {
+        let cursor = startAfter || null;
+        if (!cursor && resume && !dryRun) {
+          const progressDoc = await progressRef.get();
+          cursor = progressDoc.exists ? progressDoc.data().cursor : null;
+        }
+
+        let query = db
+            .collection(collection)
+            .orderBy(FieldPath.documentId())
+            .limit(pageSize);
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+        const snapshot = await query.get();
+
+        const {source, target} = PHONE_FIELDS[collection];
+        const loadCountry = createCountryLoader();
+        const invalid = [];
+        let pending = 0;
+        let updated = 0;
+        let conflicts = 0;
+        for (const doc of snapshot.docs) {
+          const data = doc.data();
+          const {normalized, changed} = await computePhoneField(
+              collection,
+              data,
+              loadCountry,
+          );
+          if (data[source] && !normalized) {
+            invalid.push({id: doc.id, value: data[source]});
+          }
+          if (!changed) {
+            continue;
+          }
+          pending += 1;
+          if (dryRun) {
+            continue;
+          }
+          try {
+            await doc.ref.update(
+                {[target]: normalized},
+                {lastUpdateTime: doc.updateTime},
+            );
+            updated += 1;
+          } catch (error) {
+            // FAILED_PRECONDITION: written meanwhile, the trigger has it
+            if (error.code !== 9) {
+              throw error;
+            }
+            conflicts += 1;
+          }
+        }
+
+        const done = snapshot.size < pageSize;
+        const nextCursor = done ?
+          null :
+          snapshot.docs[snapshot.docs.length - 1].id;
+
+        if (!dryRun) {
+          await progressRef.set(
+              {
+                cursor: nextCursor,
+                done,
+                scanned: FieldValue.increment(snapshot.size),
+                updated: FieldValue.increment(updated),
+                invalid: FieldValue.increment(invalid.length),
+                lastRunBy: auth.uid,
+                updatedAt: FieldValue.serverTimestamp(),
+                completedAt: done ? FieldValue.serverTimestamp() : null,
+              },
+              {merge: true},
+          );
+        }
+
+        log("DEBUG: Phone backfill batch:", {
+          collection,
+          dryRun,
+          scanned: snapshot.size,
+          pending,
+          updated,
+          conflicts,
+          invalid: invalid.length,
+          nextCursor,
+        });
+        return {
+          success: true,
+          collection,
+          dryRun,
+          scanned: snapshot.size,
+          pending,
+          updated,
+          conflicts,
+          invalid,
+          nextCursor,
+          done,
+        };
+      } catch (error) {
+        throw toHttpsError(error, "backfillPhoneNumbers");
+      }
+    },
+);
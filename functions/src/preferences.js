@@ -0,0 +1,290 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth} from "./authz.js";
+import {getZonedParts, isValidTimeZone, zonedTimeToDate} from "./time.js";
+import {isValidLocale} from "./templates.js";
+import {toHttpsError} from "./errors.js";
+import {ID, fieldError, validateRequest} from "./validation.js";
+
+/**
+ * Preferences of a customer that never changed them: everything on, no
+ * quiet hours, templates in their profile locale.
+ */
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  locale: null,
+  transactional: true,
+  promotional: true,
+  optedOutBusinesses: [],
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "08:00",
+    timeZone: "UTC",
+  },
+};
+
+// Notification kinds that count as transactional; everything else is
+// promotional
+const TRANSACTIONAL_KINDS = new Set(["status_update", "repair_status"]);
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Returns the stored preferences of a user merged over the defaults.
+ * @param {object} userData
+ * @return {object}
+ */
+export function getNotificationPreferences(userData) {
+  const stored = userData?.notificationPreferences || {};
+  return {
+    ...DEFAULT_NOTIFICATION_PREFERENCES,
+    ...stored,
+    optedOutBusinesses: Array.isArray(stored.optedOutBusinesses) ?
+      stored.optedOutBusinesses :
+      [],
+    quietHours: {
+      ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours,
+      ...(stored.quietHours || {}),
+    },
+  };
+}
+
+/**
+ * Converts "HH:mm" to minutes since midnight.
+ * @param {string} value
+ * @return {number}
+ */
+function toMinutes(value) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(value);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * When the quiet hours that contain `now` end, or null when `now` is not in
+ * quiet hours. Windows may wrap midnight ("22:00" to "08:00").
+ * @param {object} quietHours {enabled, start, end, timeZone}
+ * @param {Date} now
+ * @return {Date|null}
+ */
+export function getQuietHoursEnd(quietHours, now) {
+  if (
+    !quietHours?.enabled ||
+    !TIME_OF_DAY.test(quietHours.start || "") ||
+    !TIME_OF_DAY.test(quietHours.end || "")
+  ) {
+    return null;
+  }
+  const timeZone = isValidTimeZone(quietHours.timeZone) ?
+    quietHours.timeZone :
+    "UTC";
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) {
+    return null;
+  }
+
+  const local = getZonedParts(now, timeZone);
+  const current = local.hour * 60 + local.minute;
+  const inQuietHours = start < end ?
+    current >= start && current < end :
+    current >= start || current < end;
+  if (!inQuietHours) {
+    return null;
+  }
+
+  // The window ends today unless it wraps midnight and we are before it
+  const endsTomorrow = start > end && current >= start;
+  const endDay = new Date(
+      Date.UTC(local.year, local.month - 1, local.day + (endsTomorrow ? 1 : 0)),
+  );
+  return zonedTimeToDate(
+      {
+        year: endDay.getUTCFullYear(),
+        month: endDay.getUTCMonth() + 1,
+        day: endDay.getUTCDate(),
+        hour: Math.floor(end / 60),
+        minute: end % 60,
+      },
+      timeZone,
+  );
+}
+
+/**
+ * Decides what to do with a notification for one customer.
+ * @param {object} userData
+ * @param {object} notification
+ * @param {string} notification.kind
+ * @param {string} [notification.businessId]
+ * @param {Date} [now]
+ * @return {object} `{action: "send"}`, `{action: "skip", reason}` or
+ *   `{action: "defer", deliverAt}`
+ */
+export function evaluatePreferences(userData, {kind, businessId}, now) {
+  const preferences = getNotificationPreferences(userData);
+  const transactional = TRANSACTIONAL_KINDS.has(kind);
+
+  if (transactional && preferences.transactional === false) {
+    return {action: "skip", reason: "transactional_disabled"};
+  }
+  if (!transactional) {
+    if (preferences.promotional === false) {
+      return {action: "skip", reason: "promotional_disabled"};
+    }
+    if (businessId && preferences.optedOutBusinesses.includes(businessId)) {
+      return {action: "skip", reason: "business_opt_out"};
+    }
+  }
+
+  const deliverAt = getQuietHoursEnd(preferences.quietHours, now || new Date());
+  if (deliverAt) {
+    return {action: "defer", deliverAt};
+  }
+  return {action: "send"};
+}
+
+const PREFERENCES_SCHEMA = {
+  preferences: {
+    type: "object",
+    required: true,
+    properties: {
+      transactional: {type: "boolean"},
+      promotional: {type: "boolean"},
+      locale: {type: "string"},
+      optedOutBusinesses: {type: "array", items: ID},
+      quietHours: {
+        type: "object",
+        properties: {
+          enabled: {type: "boolean"},
+          start: {type: "string"},
+          end: {type: "string"},
+          timeZone: {type: "string"},
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Checks the values of a preferences update (types are checked by
+ * `PREFERENCES_SCHEMA`) and returns the fields to store.
+ * @param {object} updates
+ * @return {object}
+ */
+function sanitizePreferences(updates) {
+  const sanitized = {};
+  ["transactional", "promotional"].forEach((field) => {
+    if (typeof updates[field] === "boolean") {
+      sanitized[field] = updates[field];
+    }
+  });
+
+  if (updates.locale !== undefined) {
+    if (updates.locale !== null && !isValidLocale(updates.locale)) {
+      throw fieldError(
+          "preferences.locale",
+          "must be a language tag such as \"en\" or \"hi-IN\"",
+          "format",
+      );
+    }
+    sanitized.locale = updates.locale;
+  }
+
+  if (Array.isArray(updates.optedOutBusinesses)) {
+    sanitized.optedOutBusinesses = Array.from(
+        new Set(updates.optedOutBusinesses),
+    );
+  }
+
+  const quietHours = updates.quietHours;
+  if (quietHours) {
+    sanitized.quietHours = {};
+    if (typeof quietHours.enabled === "boolean") {
+      sanitized.quietHours.enabled = quietHours.enabled;
+    }
+    ["start", "end"].forEach((field) => {
+      if (quietHours[field] === undefined || quietHours[field] === null) {
+        return;
+      }
+      if (!TIME_OF_DAY.test(quietHours[field])) {
+        throw fieldError(
+            `preferences.quietHours.${field}`,
+            "must be a time of day as HH:mm",
+            "format",
+        );
+      }
+      sanitized.quietHours[field] = quietHours[field];
+    });
+    if (quietHours.timeZone) {
+      if (!isValidTimeZone(quietHours.timeZone)) {
+        throw fieldError(
+            "preferences.quietHours.timeZone",
+            "is not a known time zone",
+        );
+      }
+      sanitized.quietHours.timeZone = quietHours.timeZone;
+    }
+  }
+
+  return sanitized;
+}
+
+export const getMyNotificationPreferences = onCall(async (request) => {
+  const auth = requireAuth(request);
+
+  const userDoc = await db.collection("users").doc(auth.uid).get();
+  if (!userDoc.exists) {
+    throw new HttpsError("not-found", "User profile not found", {
+      reason: "user_not_found",
+    });
+  }
+
+  return {
+    success: true,
+    preferences: getNotificationPreferences(userDoc.data()),
+  };
+});
+
+export const updateMyNotificationPreferences = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {preferences: requested} = validateRequest(
+      request,
+      PREFERENCES_SCHEMA,
+  );
+  const updates = sanitizePreferences(requested);
+  const userRef = db.collection("users").doc(auth.uid);
+
+  try {
+    const preferences = await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        throw new HttpsError("not-found", "User profile not found", {
+          reason: "user_not_found",
+        });
+      }
+      const current = getNotificationPreferences(userDoc.data());
+      const merged = {
+        ...current,
+        ...updates,
+        quietHours: {...current.quietHours, ...(updates.quietHours || {})},
+      };
+      transaction.update(userRef, {
+        notificationPreferences: merged,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return merged;
+    });
+
+    log("DEBUG: Updated notification preferences:", {
+      uid: auth.uid,
+      preferences,
+    });
+    return {success: true, preferences};
+  } catch (error) {
+    throw toHttpsError(error, "updateMyNotificationPreferences");
+  }
+});
@@ -0,0 +1,246 @@
+import {log} from "firebase-functions/logger";
+import {defineSecret, defineString} from "firebase-functions/params";
+import apn from "apn";
+
+// APNs sends one request per device; 1000 per batch keeps memory bounded
+const BATCH_SIZE = 1000;
+
+export const APNS_ENVIRONMENTS = ["production", "sandbox"];
+
+// Contents of the .p8 auth key, set with
+// `firebase functions:secrets:set APNS_AUTH_KEY < AuthKey_XXXXXXXXXX.p8`
+export const APNS_AUTH_KEY = defineSecret("APNS_AUTH_KEY");
+const APNS_KEY_ID = defineString("APNS_KEY_ID", {
+  description: "Key id of the APNs auth key",
+});
+const APNS_TEAM_ID = defineString("APNS_TEAM_ID", {
+  description: "Apple developer team id",
+});
+const APNS_TOPICS = defineString("APNS_TOPICS", {
+  description:
+    "Comma-separated bundle ids of the iOS apps; the first is the default",
+  default: "com.ankit.aman.Fixisy",
+});
+const APNS_DEFAULT_ENVIRONMENT = defineString("APNS_DEFAULT_ENVIRONMENT", {
+  description: "Environment of tokens registered without one",
+  default: "production",
+});
+
+// One provider per environment, kept for the life of the instance
+const providers = new Map();
+
+/**
+ * Bundle ids the APNs transport may send to; the first one is used for
+ * tokens registered without a topic.
+ * @return {string[]}
+ */
+export function getApnsTopics() {
+  return APNS_TOPICS.value()
+      .split(",")
+      .map((topic) => topic.trim())
+      .filter((topic) => topic.length > 0);
+}
+
+/**
+ * Environment of tokens registered without one.
+ * @return {string}
+ */
+function getDefaultEnvironment() {
+  const environment = APNS_DEFAULT_ENVIRONMENT.value();
+  return APNS_ENVIRONMENTS.includes(environment) ? environment : "production";
+}
+
+/**
+ * Returns the provider for an environment, creating it on first use.
+ * @param {string} environment "production" or "sandbox"
+ * @return {apn.Provider}
+ */
+function getProvider(environment) {
+  if (!providers.has(environment)) {
+    providers.set(
+        environment,
+        new apn.Provider({
+          token: {
+            key: APNS_AUTH_KEY.value(),
+            keyId: APNS_KEY_ID.value(),
+            teamId: APNS_TEAM_ID.value(),
+          },
+          production: environment === "production",
+        }),
+    );
+    log("DEBUG: APNs provider created:", {environment});
+  }
+  return providers.get(environment);
+}
+
+/**
+ * Builds the APNs notification, including the image for the notification
+ * service extension when one is given.
+ * @param {object} notification
+ * @param {string} topic Bundle id of the app
+ * @return {apn.Notification}
+ */
+function buildNotification({title, body, imageUrl, data}, topic) {
+  const apnNotification = new apn.Notification();
+  apnNotification.alert = {title, body};
+  apnNotification.sound = "default";
+  apnNotification.topic = topic;
+  if (imageUrl) {
+    apnNotification.mutableContent = 1;
+    apnNotification.payload = {
+      ...(apnNotification.payload || {}),
+      imageUrl,
+    };
+  }
+  if (data) {
+    apnNotification.payload = {
+      ...(apnNotification.payload || {}),
+      ...data,
+    };
+  }
+  return apnNotification;
+}
+
+/**
+ * Sends one notification to a batch of tokens of the same environment.
+ * @param {string} environment
+ * @param {apn.Notification} apnNotification
+ * @param {string[]} batch
+ * @return {Promise<object[]>} One result per token
+ */
+async function sendBatch(environment, apnNotification, batch) {
+  try {
+    const response = await getProvider(environment).send(
+        apnNotification,
+        batch,
+    );
+    log("DEBUG: APNs batch response", {
+      environment,
+      topic: apnNotification.topic,
+      sent: response.sent.length,
+      failed: response.failed.length,
+      failedDetails: response.failed,
+    });
+    return [
+      ...response.sent.map((sent) => ({
+        token: sent.device,
+        transport: "apns",
+        success: true,
+        messageId: null,
+        error: null,
+      })),
+      ...response.failed.map((fail) => ({
+        token: fail.device,
+        transport: "apns",
+        success: false,
+        messageId: null,
+        error: {
+          code:
+            fail.response?.reason ||
+            (fail.error ? "transport-error" : "unknown"),
+          message: fail.error?.message || fail.response?.reason || null,
+          status: fail.status ? Number(fail.status) : null,
+        },
+      })),
+    ];
+  } catch (error) {
+    log("DEBUG: Error sending APNs batch:", error.message);
+    return batch.map((token) => ({
+      token,
+      transport: "apns",
+      success: false,
+      messageId: null,
+      error: {code: "transport-error", message: error.message},
+    }));
+  }
+}
+
+/**
+ * Creates the Apple Push Notification service transport.
+ * @return {object}
+ */
+export function createApnsTransport() {
+  return {
+    name: "apns",
+
+    /**
+     * Sends the notification to every token in batches, grouped by the
+     * environment and app each token was registered for.
+     * @param {string[]} tokens
+     * @param {object} notification
+     * @param {object} [options]
+     * @param {Map<string, object>} [options.apnsSettings] Token to
+     *   `{environment, topic}` as stored at registration
+     * @return {Promise<object[]>} One result per token
+     */
+    async send(tokens, notification, {apnsSettings} = {}) {
+      const results = [];
+      if (tokens.length === 0) {
+        return results;
+      }
+
+      const topics = getApnsTopics();
+      const defaultEnvironment = getDefaultEnvironment();
+      const groups = new Map();
+      tokens.forEach((token) => {
+        const settings = apnsSettings?.get(token) || {};
+        const environment = APNS_ENVIRONMENTS.includes(settings.environment) ?
+          settings.environment :
+          defaultEnvironment;
+        const topic = topics.includes(settings.topic) ?
+          settings.topic :
+          topics[0];
+        const key = `${environment}|${topic}`;
+        if (!groups.has(key)) {
+          groups.set(key, {environment, topic, tokens: [], unknown: new Set()});
+        }
+        groups.get(key).tokens.push(token);
+        if (!settings.environment) {
+          groups.get(key).unknown.add(token);
+        }
+      });
+
+      for (const {environment, topic, tokens: groupTokens, unknown} of
+        groups.values()) {
+        const apnNotification = buildNotification(notification, topic);
+        for (let i = 0; i < groupTokens.length; i += BATCH_SIZE) {
+          const batch = groupTokens.slice(i, i + BATCH_SIZE);
+          const batchResults = await sendBatch(
+              environment,
+              apnNotification,
+              batch,
+          );
+
+          // Tokens registered before environments were stored may belong
+          // to a development build; try the other environment
+          // before reporting them as bad.
+          const retry = batchResults
+              .filter(
+                  (result) =>
+                    result.error?.code === "BadDeviceToken" &&
+                    unknown.has(result.token),
+              )
+              .map((result) => result.token);
+          if (retry.length > 0) {
+            const otherEnvironment = APNS_ENVIRONMENTS.find(
+                (value) => value !== environment,
+            );
+            const retried = new Map(
+                (await sendBatch(otherEnvironment, apnNotification, retry))
+                    .map((result) => [result.token, result]),
+            );
+            results.push(
+                ...batchResults.map(
+                    (result) => retried.get(result.token) || result,
+                ),
+            );
+          } else {
+            results.push(...batchResults);
+          }
+        }
+      }
+
+      return results;
+    },
+  };
+}
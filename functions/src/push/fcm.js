@@ -0,0 +1,116 @@
+import {log} from "firebase-functions/logger";
+import {getMessaging} from "firebase-admin/messaging";
+
+// FCM limit is 500 tokens per multicast request
+const BATCH_SIZE = 500;
+
+/**
+ * FCM only accepts string values in the data payload.
+ * @param {object} [data]
+ * @return {object}
+ */
+function stringifyData(data) {
+  const stringified = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    stringified[key] =
+      typeof value === "string" ? value : JSON.stringify(value);
+  });
+  return stringified;
+}
+
+/**
+ * Builds the multicast payload shared by every batch.
+ * @param {object} notification
+ * @return {object}
+ */
+function buildPayload({title, body, imageUrl, data}) {
+  return {
+    notification: {
+      title,
+      body,
+      ...(imageUrl && {imageUrl}),
+    },
+    data: stringifyData(data),
+    android: {
+      priority: "high",
+      notification: {
+        sound: "default",
+        priority: "high",
+        ...(imageUrl && {imageUrl}),
+      },
+    },
+    apns: {
+      payload: {
+        aps: {sound: "default", ...(imageUrl && {"mutable-content": 1})},
+        ...(imageUrl && {fcm_options: {image: imageUrl}}),
+      },
+    },
+  };
+}
+
+/**
+ * Creates the Firebase Cloud Messaging transport.
+ * @return {object}
+ */
+export function createFcmTransport() {
+  return {
+    name: "fcm",
+
+    /**
+     * Sends the notification to every token, batching multicast requests.
+     * @param {string[]} tokens
+     * @param {object} notification
+     * @return {Promise<object[]>} One result per token
+     */
+    async send(tokens, notification) {
+      const payload = buildPayload(notification);
+      const results = [];
+
+      for (let i = 0; i < tokens.length; i += BATCH_SIZE) {
+        const batch = tokens.slice(i, i + BATCH_SIZE);
+        const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
+        try {
+          const response = await getMessaging().sendEachForMulticast({
+            tokens: batch,
+            ...payload,
+          });
+          log("DEBUG: FCM batch sent", {
+            batch: batchNumber,
+            successCount: response.successCount,
+            failureCount: response.failureCount,
+          });
+          response.responses.forEach((sendResponse, index) => {
+            results.push({
+              token: batch[index],
+              transport: "fcm",
+              success: sendResponse.success,
+              messageId: sendResponse.messageId || null,
+              error: sendResponse.success ?
+                null :
+                {
+                  code: sendResponse.error?.code || "unknown",
+                  message: sendResponse.error?.message || null,
+                },
+            });
+          });
+        } catch (error) {
+          log("DEBUG: Error sending FCM batch:", error.message);
+          batch.forEach((token) => {
+            results.push({
+              token,
+              transport: "fcm",
+              success: false,
+              messageId: null,
+              error: {code: "transport-error", message: error.message},
+            });
+          });
+        }
+      }
+
+      return results;
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import {log} from "firebase-functions/logger";
+import {createFcmTransport} from "./fcm.js";
+import {APNS_AUTH_KEY, createApnsTransport} from "./apns.js";
+import {createMemoryTransport} from "./memory.js";
+import {findDeadTokens, pruneDeadTokens} from "./prune.js";
+
+export {
+  getRecordedNotifications,
+  clearRecordedNotifications,
+} from "./memory.js";
+
+export {APNS_ENVIRONMENTS, getApnsTopics} from "./apns.js";
+
+/**
+ * Secrets a function must bind (`{secrets: PUSH_SECRETS}`) to deliver
+ * notifications.
+ */
+export const PUSH_SECRETS = [APNS_AUTH_KEY];
+
+let transports = null;
+
+/**
+ * Whether notifications are recorded in memory instead of delivered. Only
+ * honored in the emulator (`PUSH_TRANSPORT=memory` in `.env.local`) so a
+ * stray setting can never silence production pushes.
+ * @return {boolean}
+ */
+export function usesMemoryTransport() {
+  return (
+    process.env.FUNCTIONS_EMULATOR === "true" &&
+    process.env.PUSH_TRANSPORT === "memory"
+  );
+}
+
+/**
+ * Returns the FCM and APNs transports for this instance.
+ * @return {{fcm: object, apns: object}}
+ */
+export function getTransports() {
+  if (!transports) {
+    transports = usesMemoryTransport() ?
+      {fcm: createMemoryTransport("fcm"), apns: createMemoryTransport("apns")} :
+      {fcm: createFcmTransport(), apns: createApnsTransport()};
+    log("DEBUG: Push transports initialized:", {
+      memory: usesMemoryTransport(),
+    });
+  }
+  return transports;
+}
+
+/**
+ * Checks if a token looks like an APNs token (64 hex chars, no colons, no
+ * spaces). Only used to validate registrations and to migrate tokens
+ * stored before the device registry; delivery goes by `tokenType`.
+ * @param {string} token
+ * @return {boolean}
+ */
+export function isApnsToken(token) {
+  return /^[a-f0-9]{64}$/i.test(token);
+}
+
+/**
+ * Adds registered devices to `devices`, keyed by token, for `deliver`.
+ * @param {object[]} userDevices Devices from the registry
+ * @param {Map<string, object>} devices
+ * @return {Map<string, object>} `devices`
+ */
+export function collectDevices(userDevices, devices) {
+  userDevices.forEach((device) => devices.set(device.token, device));
+  return devices;
+}
+
+/**
+ * Delivers a notification to a set of device tokens, routing each token to
+ * the FCM or APNs transport by the `tokenType` it was registered with.
+ * Tokens that fail permanently are removed from the device registry.
+ * @param {string[]} tokens
+ * @param {object} notification
+ * @param {string} notification.title
+ * @param {string} notification.body
+ * @param {string} [notification.imageUrl]
+ * @param {object} [notification.data]
+ * @param {object} [options]
+ * @param {Map<string, object>} options.devices Token to registered device,
+ *   from `collectDevices`
+ * @return {Promise<object>} Totals, the pruned-token summary and one result
+ *   per token: `{token, transport, success, messageId, error}`
+ */
+export async function deliver(tokens, notification, options = {}) {
+  return deliverEach([{tokens, notification}], options);
+}
+
+/**
+ * Delivers several notifications, each to its own set of tokens, as one
+ * send: results are combined and dead tokens pruned once. Used when the
+ * content differs per recipient (e.g. localized templates).
+ * @param {object[]} messages `[{tokens, notification}]`, see `deliver`
+ * @param {object} [options] See `deliver`
+ * @return {Promise<object>} Same shape as `deliver`
+ */
+export async function deliverEach(messages, options = {}) {
+  const {fcm, apns} = getTransports();
+  const devices = options.devices || new Map();
+  // APNs settings as stored at registration; missing ones use the defaults
+  const apnsSettings = new Map();
+  devices.forEach((device, token) => {
+    if (device.tokenType === "apns") {
+      apnsSettings.set(token, {
+        environment: device.apnsEnvironment,
+        topic: device.apnsTopic,
+      });
+    }
+  });
+  const results = [];
+  let totalTokens = 0;
+  let includesApns = false;
+
+  for (const {tokens, notification} of messages) {
+    const uniqueTokens = Array.from(new Set(tokens));
+    const isApns = (token) => devices.get(token)?.tokenType === "apns";
+    const fcmTokens = uniqueTokens.filter((token) => !isApns(token));
+    const apnsTokens = uniqueTokens.filter(isApns);
+    totalTokens += uniqueTokens.length;
+    includesApns = includesApns || apnsTokens.length > 0;
+
+    log("DEBUG: Delivering notification", {
+      fcmTokenCount: fcmTokens.length,
+      apnsTokenCount: apnsTokens.length,
+      title: notification.title,
+    });
+
+    if (fcmTokens.length > 0) {
+      results.push(...(await fcm.send(fcmTokens, notification)));
+    }
+    if (apnsTokens.length > 0) {
+      results.push(
+          ...(await apns.send(apnsTokens, notification, {apnsSettings})),
+      );
+    }
+  }
+
+  const pruned = await pruneDeadTokens(findDeadTokens(results));
+
+  const totalSuccess = results.filter((result) => result.success).length;
+  return {
+    totalTokens,
+    totalSuccess,
+    totalFailure: results.length - totalSuccess,
+    includesApns,
+    pruned,
+    results,
+  };
+}
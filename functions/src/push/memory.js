@@ -0,0 +1,95 @@
+import {log} from "firebase-functions/logger";
+
+// Every notification handed to a memory transport in this instance
+const recorded = [];
+
+/**
+ * Tokens the memory transport should report as failed, from the
+ * comma-separated `PUSH_MEMORY_FAIL_TOKENS` environment variable.
+ * @return {Set<string>}
+ */
+function getFailingTokens() {
+  return new Set(
+      (process.env.PUSH_MEMORY_FAIL_TOKENS || "")
+          .split(",")
+          .map((token) => token.trim())
+          .filter((token) => token.length > 0),
+  );
+}
+
+/**
+ * The error a real transport would report for an unregistered token.
+ * @param {string} name Transport being stood in for
+ * @return {object}
+ */
+function unregisteredError(name) {
+  return name === "apns" ?
+    {code: "Unregistered", message: "Unregistered", status: 410} :
+    {
+      code: "messaging/registration-token-not-registered",
+      message: "Requested entity was not found.",
+    };
+}
+
+/**
+ * Creates a transport that records notifications instead of delivering
+ * them, standing in for the FCM or APNs transport in the emulator.
+ * @param {string} name Transport being stood in for ("fcm" or "apns")
+ * @return {object}
+ */
+export function createMemoryTransport(name) {
+  return {
+    name,
+
+    /**
+     * Records the notification for every token.
+     * @param {string[]} tokens
+     * @param {object} notification
+     * @return {Promise<object[]>} One result per token
+     */
+    async send(tokens, notification) {
+      const failingTokens = getFailingTokens();
+      const results = tokens.map((token, index) => {
+        const success = !failingTokens.has(token);
+        return {
+          token,
+          transport: name,
+          success,
+          messageId: success ? `memory-${Date.now()}-${index}` : null,
+          error: success ? null : unregisteredError(name),
+        };
+      });
+
+      recorded.push({
+        transport: name,
+        tokens: [...tokens],
+        notification,
+        results,
+        sentAt: new Date().toISOString(),
+      });
+
+      log("DEBUG: Memory transport recorded notification", {
+        transport: name,
+        tokenCount: tokens.length,
+        notification,
+      });
+
+      return results;
+    },
+  };
+}
+
+/**
+ * Returns the notifications recorded by memory transports so far.
+ * @return {object[]}
+ */
+export function getRecordedNotifications() {
+  return [...recorded];
+}
+
+/**
+ * Forgets every recorded notification.
+ */
+export function clearRecordedNotifications() {
+  recorded.length = 0;
+}
@@ -0,0 +1,116 @@
+import {log} from "firebase-functions/logger";
+import {db} from "../firebase.js";
+
+// FCM error codes that mean the token will never work again
+const FCM_DEAD_TOKEN_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+// APNs reasons that mean the token will never work again
+const APNS_DEAD_TOKEN_REASONS = new Set(["Unregistered", "BadDeviceToken"]);
+
+// Firestore limit for in filters
+const QUERY_CHUNK_SIZE = 30;
+
+/**
+ * Picks the tokens whose failure is permanent. FCM `invalid-argument` is
+ * also reported for malformed payloads, so it only counts as a dead token
+ * when another FCM token in the same send went through.
+ * @param {object[]} results Per-token results from the push transports
+ * @return {object[]} The results of dead tokens
+ */
+export function findDeadTokens(results) {
+  const fcmDelivered = results.some(
+      (result) => result.transport === "fcm" && result.success,
+  );
+
+  return results.filter((result) => {
+    if (result.success || !result.error) {
+      return false;
+    }
+    if (result.transport === "fcm") {
+      return (
+        FCM_DEAD_TOKEN_CODES.has(result.error.code) ||
+        (result.error.code === "messaging/invalid-argument" && fcmDelivered)
+      );
+    }
+    if (result.transport === "apns") {
+      return (
+        result.error.status === 410 ||
+        APNS_DEAD_TOKEN_REASONS.has(result.error.code)
+      );
+    }
+    return false;
+  });
+}
+
+/**
+ * Only the tail of a token is returned to callers and written to logs.
+ * @param {string} token
+ * @return {string}
+ */
+export function maskToken(token) {
+  return token.length > 8 ? `…${token.slice(-8)}` : token;
+}
+
+/**
+ * Removes the registered devices (`users/{uid}/devices`) of dead tokens.
+ * @param {object[]} deadResults Results returned by `findDeadTokens`
+ * @return {Promise<object>} Summary of what was pruned
+ */
+export async function pruneDeadTokens(deadResults) {
+  const summary = {
+    count: 0,
+    usersUpdated: 0,
+    byTransport: {fcm: 0, apns: 0},
+    tokens: [],
+  };
+  if (deadResults.length === 0) {
+    return summary;
+  }
+
+  const tokens = Array.from(new Set(deadResults.map((result) => result.token)));
+  const updatedUserIds = new Set();
+  const prunedTokens = new Set();
+
+  for (let i = 0; i < tokens.length; i += QUERY_CHUNK_SIZE) {
+    const chunk = tokens.slice(i, i + QUERY_CHUNK_SIZE);
+    try {
+      const snapshot = await db
+          .collectionGroup("devices")
+          .where("token", "in", chunk)
+          .get();
+
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      // Only count what the committed batch removed
+      snapshot.docs.forEach((doc) => {
+        prunedTokens.add(doc.data().token);
+        updatedUserIds.add(doc.data().uid);
+      });
+    } catch (error) {
+      // Pruning is best effort; a failure must not fail the send itself
+      log("DEBUG: Error pruning dead tokens:", error.message);
+    }
+  }
+
+  deadResults.forEach((result) => {
+    if (!prunedTokens.has(result.token)) {
+      return;
+    }
+    summary.byTransport[result.transport] =
+      (summary.byTransport[result.transport] || 0) + 1;
+    summary.tokens.push({
+      token: maskToken(result.token),
+      transport: result.transport,
+      reason: result.error.code,
+    });
+  });
+  summary.count = summary.tokens.length;
+  summary.usersUpdated = updatedUserIds.size;
+
+  log("DEBUG: Pruned dead push tokens:", summary);
+  return summary;
+}
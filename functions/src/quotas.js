@@ -0,0 +1,300 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStore,
+  assertIsAdmin,
+} from "./authz.js";
+import {REQUIRED_ID, fieldError, validateRequest} from "./validation.js";
+import {toHttpsError} from "./errors.js";
+
+/**
+ * Broadcast limits of a business without admin overrides. A limit set to
+ * null is not enforced. Days and weeks are rolling 24 hour and 7 day
+ * windows.
+ */
+export const DEFAULT_BROADCAST_LIMITS = {
+  maxPerDay: 3,
+  maxPerWeek: 10,
+  minIntervalMinutes: 60,
+  maxRecipients: 5000,
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * The `broadcastQuotas` document of a business.
+ * @param {string} businessId
+ * @return {object}
+ */
+function quotaRef(businessId) {
+  return db.collection("broadcastQuotas").doc(businessId);
+}
+
+/**
+ * Returns the admin overrides of a business merged over the defaults.
+ * @param {object} [quotaData] The `broadcastQuotas` document
+ * @return {object}
+ */
+export function getBroadcastLimits(quotaData) {
+  return {...DEFAULT_BROADCAST_LIMITS, ...(quotaData?.limits || {})};
+}
+
+/**
+ * Computes what is left of a business's quota at `now`.
+ * @param {object} [quotaData] The `broadcastQuotas` document
+ * @param {number} now Epoch milliseconds
+ * @return {object} `{limits, remainingToday, remainingThisWeek,
+ *   nextAllowedAt, recent}` where `recent` are the send times (ms) of the
+ *   past week
+ */
+function computeQuota(quotaData, now) {
+  const limits = getBroadcastLimits(quotaData);
+  const recent = (quotaData?.recentBroadcasts || [])
+      .map((timestamp) => timestamp.toMillis())
+      .filter((sentAt) => sentAt > now - WEEK_MS)
+      .sort((a, b) => a - b);
+  const today = recent.filter((sentAt) => sentAt > now - DAY_MS);
+
+  const remaining = (max, used) =>
+    max === null ? null : Math.max(0, max - used.length);
+  const remainingToday = remaining(limits.maxPerDay, today);
+  const remainingThisWeek = remaining(limits.maxPerWeek, recent);
+
+  // Earliest time every limit allows another broadcast
+  const candidates = [now];
+  if (limits.minIntervalMinutes !== null && recent.length > 0) {
+    candidates.push(
+        recent[recent.length - 1] + limits.minIntervalMinutes * MINUTE_MS,
+    );
+  }
+  if (remainingToday === 0 && limits.maxPerDay > 0) {
+    candidates.push(today[today.length - limits.maxPerDay] + DAY_MS);
+  }
+  if (remainingThisWeek === 0 && limits.maxPerWeek > 0) {
+    candidates.push(recent[recent.length - limits.maxPerWeek] + WEEK_MS);
+  }
+  const nextAllowedAt = Math.max(...candidates);
+
+  return {limits, remainingToday, remainingThisWeek, nextAllowedAt, recent};
+}
+
+/**
+ * Shapes a quota for responses.
+ * @param {object} quota Result of `computeQuota`
+ * @return {object}
+ */
+function serializeQuota({
+  limits,
+  remainingToday,
+  remainingThisWeek,
+  nextAllowedAt,
+}) {
+  return {
+    limits,
+    remainingToday,
+    remainingThisWeek,
+    nextAllowedAt: new Date(nextAllowedAt).toISOString(),
+  };
+}
+
+/**
+ * Consumes one broadcast from the quota of a business, or throws
+ * `resource-exhausted` when a limit does not allow it. Runs in a
+ * transaction so concurrent broadcasts cannot both take the last slot.
+ * @param {string} businessId
+ * @param {number} recipients Audience size of the broadcast
+ * @return {Promise<object>} The quota left after this broadcast, with the
+ *   `consumedAt` time `releaseBroadcastQuota` takes
+ */
+export async function consumeBroadcastQuota(businessId, recipients) {
+  const ref = quotaRef(businessId);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const now = Date.now();
+    const quota = computeQuota(doc.exists ? doc.data() : null, now);
+    const {limits} = quota;
+
+    let exceeded = null;
+    if (limits.maxRecipients !== null && recipients > limits.maxRecipients) {
+      exceeded = {
+        reason: "max_recipients",
+        message:
+          `Broadcast reaches ${recipients} customers; ` +
+          `the limit is ${limits.maxRecipients} per broadcast`,
+      };
+    } else if (quota.remainingToday === 0) {
+      exceeded = {
+        reason: "max_per_day",
+        message: `Daily limit of ${limits.maxPerDay} broadcasts reached`,
+      };
+    } else if (quota.remainingThisWeek === 0) {
+      exceeded = {
+        reason: "max_per_week",
+        message: `Weekly limit of ${limits.maxPerWeek} broadcasts reached`,
+      };
+    } else if (quota.nextAllowedAt > now) {
+      exceeded = {
+        reason: "min_interval",
+        message:
+          `Broadcasts must be at least ${limits.minIntervalMinutes} ` +
+          "minutes apart",
+      };
+    }
+
+    if (exceeded) {
+      log("DEBUG: Broadcast quota exceeded:", {
+        businessId,
+        recipients,
+        reason: exceeded.reason,
+      });
+      throw new HttpsError("resource-exhausted", exceeded.message, {
+        reason: exceeded.reason,
+        businessId,
+        recipients,
+        quota: serializeQuota(quota),
+      });
+    }
+
+    const recentBroadcasts = [...quota.recent, now].map((sentAt) =>
+      Timestamp.fromMillis(sentAt),
+    );
+    transaction.set(
+        ref,
+        {
+          businessId,
+          recentBroadcasts,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        {merge: true},
+    );
+    return {
+      ...serializeQuota(computeQuota({limits, recentBroadcasts}, now)),
+      consumedAt: new Date(now).toISOString(),
+    };
+  });
+}
+
+/**
+ * Gives back a broadcast taken by `consumeBroadcastQuota` that was never
+ * sent.
+ * @param {string} businessId
+ * @param {string} consumedAt From the consumed quota
+ * @return {Promise<object>} The quota left
+ */
+export async function releaseBroadcastQuota(businessId, consumedAt) {
+  const ref = quotaRef(businessId);
+  const consumedMillis = Date.parse(consumedAt);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const quotaData = doc.exists ? doc.data() : null;
+    const recentBroadcasts = [...(quotaData?.recentBroadcasts || [])];
+    const index = recentBroadcasts.findIndex(
+        (timestamp) => timestamp.toMillis() === consumedMillis,
+    );
+    if (index !== -1) {
+      recentBroadcasts.splice(index, 1);
+      transaction.update(ref, {
+        recentBroadcasts,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+    log("DEBUG: Broadcast quota released:", {businessId, consumedAt});
+    return serializeQuota(
+        computeQuota({...quotaData, recentBroadcasts}, Date.now()),
+    );
+  });
+}
+
+/**
+ * Current quota of a business, without consuming any of it.
+ * @param {string} businessId
+ * @return {Promise<object>}
+ */
+export async function readBroadcastQuota(businessId) {
+  const doc = await quotaRef(businessId).get();
+  const quota = computeQuota(doc.exists ? doc.data() : null, Date.now());
+  return serializeQuota(quota);
+}
+
+/**
+ * Validates an admin limits override. Null resets a limit to its default;
+ * "unlimited" disables it.
+ * @param {*} limits
+ * @return {object} Fields to store, with `FieldValue.delete()` for resets
+ */
+function sanitizeLimits(limits) {
+  const sanitized = {};
+  for (const [field, value] of Object.entries(limits)) {
+    if (!(field in DEFAULT_BROADCAST_LIMITS)) {
+      throw fieldError(`limits.${field}`, "is not a known limit");
+    }
+    if (value === null) {
+      sanitized[field] = FieldValue.delete();
+    } else if (value === "unlimited") {
+      sanitized[field] = null;
+    } else if (Number.isInteger(value) && value >= 0) {
+      sanitized[field] = value;
+    } else {
+      throw fieldError(
+          `limits.${field}`,
+          "must be a non-negative integer, \"unlimited\" or null",
+      );
+    }
+  }
+  return sanitized;
+}
+
+export const getBroadcastQuota = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId} = validateRequest(request, {businessId: REQUIRED_ID});
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, businessId);
+
+  const quota = await readBroadcastQuota(businessId);
+  return {success: true, businessId, quota};
+});
+
+export const setBroadcastLimits = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId, limits} = validateRequest(request, {
+    businessId: REQUIRED_ID,
+    limits: {type: "object", required: true},
+  });
+  const caller = await getCallerContext(auth.uid);
+  assertIsAdmin(caller);
+  const sanitized = sanitizeLimits(limits);
+
+  try {
+    await quotaRef(businessId).set(
+        {
+          businessId,
+          limits: sanitized,
+          limitsUpdatedBy: auth.uid,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        {merge: true},
+    );
+
+    log("DEBUG: Updated broadcast limits:", {
+      businessId,
+      fields: Object.keys(sanitized),
+    });
+
+    const quota = await readBroadcastQuota(businessId);
+    return {success: true, businessId, quota};
+  } catch (error) {
+    throw toHttpsError(error, "setBroadcastLimits");
+  }
+});
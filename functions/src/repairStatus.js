@@ -0,0 +1,363 @@
+import {onCall} from "firebase-functions/v2/https";
+import {onDocumentWritten} from "firebase-functions/v2/firestore";
+import {log} from "firebase-functions/logger";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStore,
+} from "./authz.js";
+import {sendToMobile} from "./notify.js";
+import {PUSH_SECRETS} from "./push/index.js";
+import {createStoreLoader, loadTemplate} from "./templates.js";
+import {getRepairCustomerPhone} from "./phone.js";
+import {toHttpsError} from "./errors.js";
+import {REQUIRED_ID, fieldError, validateRequest} from "./validation.js";
+
+/**
+ * Default customer notifications per repair status. Businesses override
+ * these per status in `notificationSettings/{businessId}.statusTransitions`,
+ * optionally pointing a status at a notification template (`templateId`).
+ */
+export const DEFAULT_STATUS_TRANSITIONS = {
+  received: {
+    enabled: true,
+    title: "Repair received",
+    message: "We have received your device and will start on it shortly.",
+  },
+  diagnosing: {
+    enabled: true,
+    title: "Diagnosing your device",
+    message: "Our technician is diagnosing your device.",
+  },
+  waiting_for_parts: {
+    enabled: true,
+    title: "Waiting for parts",
+    message: "We are waiting for parts to arrive for your repair.",
+  },
+  in_repair: {
+    enabled: false,
+    title: "Repair in progress",
+    message: "Your device is being repaired.",
+  },
+  ready_for_pickup: {
+    enabled: true,
+    title: "Ready for pickup",
+    message: "Your device is repaired and ready for pickup.",
+  },
+  delivered: {
+    enabled: true,
+    title: "Device delivered",
+    message: "Thank you for choosing us! Your device has been delivered.",
+  },
+  cancelled: {
+    enabled: false,
+    title: "Repair cancelled",
+    message: "Your repair has been cancelled.",
+  },
+};
+
+/**
+ * Normalizes a free-form status ("Ready for Pickup", "ready-for-pickup")
+ * into the snake_case key used by the transition settings.
+ * @param {string} status
+ * @return {string|null}
+ */
+export function normalizeStatus(status) {
+  if (typeof status !== "string" || status.trim().length === 0) {
+    return null;
+  }
+  return status
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Loads the transition settings of a business merged over the defaults.
+ * @param {string} businessId
+ * @return {Promise<object>}
+ */
+export async function getStatusTransitions(businessId) {
+  const settingsDoc = await db
+      .collection("notificationSettings")
+      .doc(businessId)
+      .get();
+  const overrides =
+    (settingsDoc.exists && settingsDoc.data().statusTransitions) || {};
+
+  const transitions = {};
+  const statuses = new Set([
+    ...Object.keys(DEFAULT_STATUS_TRANSITIONS),
+    ...Object.keys(overrides),
+  ]);
+  statuses.forEach((status) => {
+    transitions[status] = {
+      ...(DEFAULT_STATUS_TRANSITIONS[status] || {enabled: false}),
+      ...(overrides[status] || {}),
+    };
+  });
+  return transitions;
+}
+
+/**
+ * Notifies the customer when a repair's status changes. Runs with
+ * `retry` so a send that threw is tried again.
+ */
+export const onRepairStatusChange = onDocumentWritten(
+    {document: "repairs/{repairId}", secrets: PUSH_SECRETS, retry: true},
+    async (event) => {
+      const before = event.data?.before?.exists ?
+        event.data.before.data() :
+        null;
+      const after = event.data?.after?.exists ? event.data.after.data() : null;
+      const {repairId} = event.params;
+
+      if (!after) {
+        return;
+      }
+
+      const previousStatus = normalizeStatus(before?.status);
+      const newStatus = normalizeStatus(after.status);
+      if (!newStatus || newStatus === previousStatus) {
+        return;
+      }
+
+      log("DEBUG: Repair status changed:", {
+        repairId,
+        businessId: after.businessId,
+        from: previousStatus,
+        to: newStatus,
+      });
+
+      // Every change goes into the status timeline customers can see;
+      // the event id keeps retries from adding it twice
+      await db
+          .collection("repairs")
+          .doc(repairId)
+          .collection("statusHistory")
+          .doc(event.id)
+          .set({
+            from: previousStatus,
+            to: newStatus,
+            changedAt: FieldValue.serverTimestamp(),
+          });
+
+      // The normalizing trigger may not have run yet on a new repair
+      const customerMobile = await getRepairCustomerPhone(after);
+      if (!customerMobile || !after.businessId) {
+        log("DEBUG: Repair has no customerMobile or businessId:", repairId);
+        return;
+      }
+
+      const transitions = await getStatusTransitions(after.businessId);
+      const transition = transitions[newStatus];
+      if (!transition || !transition.enabled) {
+        log("DEBUG: Status transition does not notify:", {
+          repairId,
+          status: newStatus,
+        });
+        return;
+      }
+
+      // Triggers are delivered at least once; record the event so a retry
+      // does not notify the customer twice. Only a send that failed is
+      // tried again: one left "sending" may have reached the customer.
+      const markerRef = db
+          .collection("repairs")
+          .doc(repairId)
+          .collection("statusNotifications")
+          .doc(event.id);
+      const claimed = await db.runTransaction(async (transaction) => {
+        const markerDoc = await transaction.get(markerRef);
+        if (markerDoc.exists && markerDoc.data().status !== "failed") {
+          return false;
+        }
+        if (markerDoc.exists) {
+          transaction.update(markerRef, {
+            status: "sending",
+            attempts: FieldValue.increment(1),
+            error: null,
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+        } else {
+          transaction.set(markerRef, {
+            from: previousStatus,
+            to: newStatus,
+            status: "sending",
+            attempts: 1,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+        }
+        return true;
+      });
+      if (!claimed) {
+        log("DEBUG: Status notification already handled:", event.id);
+        return;
+      }
+
+      // A deleted template falls back to the transition's own text
+      let template = null;
+      if (transition.templateId) {
+        try {
+          template = await loadTemplate(
+              transition.templateId,
+              after.businessId,
+          );
+        } catch (error) {
+          log("DEBUG: Status template unavailable:", {
+            templateId: transition.templateId,
+            error: error.message,
+          });
+        }
+      }
+
+      const repair = {id: repairId, ...after};
+      let result;
+      try {
+        result = await sendToMobile(
+            customerMobile,
+            {
+              title: transition.title,
+              message: transition.message,
+              template,
+              repair,
+              store: template ?
+                await createStoreLoader()(after.storeId || after.businessId) :
+                null,
+              data: {
+                type: "repair_status",
+                repairId,
+                status: newStatus,
+              },
+            },
+            {kind: "repair_status", businessId: after.businessId, repairId},
+        );
+      } catch (error) {
+        log("DEBUG: Repair status notification failed:", {
+          repairId,
+          status: newStatus,
+          error: error.message,
+        });
+        await markerRef.update({
+          status: "failed",
+          error: error.message,
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        throw error;
+      }
+
+      await markerRef.update({
+        status: "done",
+        updatedAt: FieldValue.serverTimestamp(),
+        notificationId: result.notificationId || null,
+        success: !!result.success,
+        totalSuccess: result.totalSuccess || 0,
+        totalFailure: result.totalFailure || 0,
+        error: result.error || null,
+      });
+
+      log("DEBUG: Repair status notification result:", {
+        repairId,
+        status: newStatus,
+        success: result.success,
+        error: result.error,
+      });
+    },
+);
+
+export const getStatusNotificationSettings = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId} = validateRequest(request, {businessId: REQUIRED_ID});
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, businessId);
+
+  const statusTransitions = await getStatusTransitions(businessId);
+  return {success: true, businessId, statusTransitions};
+});
+
+export const updateStatusNotificationSettings = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId, statusTransitions} = validateRequest(request, {
+    businessId: REQUIRED_ID,
+    statusTransitions: {type: "object", required: true},
+  });
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, businessId);
+
+  // Only keep known fields and normalize the status keys
+  const sanitized = {};
+  for (const [status, transition] of Object.entries(statusTransitions)) {
+    const key = normalizeStatus(status);
+    if (!key || !transition || typeof transition !== "object") {
+      throw fieldError(
+          `statusTransitions.${status}`,
+          "must be an object of transition settings",
+          "type",
+      );
+    }
+    sanitized[key] = {};
+    if (transition.enabled !== undefined) {
+      sanitized[key].enabled = !!transition.enabled;
+    }
+    ["title", "message"].forEach((field) => {
+      if (transition[field] !== undefined) {
+        if (typeof transition[field] !== "string" || !transition[field]) {
+          throw fieldError(
+              `statusTransitions.${status}.${field}`,
+              "must be a non-empty string",
+              "type",
+          );
+        }
+        sanitized[key][field] = transition[field];
+      }
+    });
+    if (transition.templateId !== undefined) {
+      if (
+        transition.templateId !== null &&
+        typeof transition.templateId !== "string"
+      ) {
+        throw fieldError(
+            `statusTransitions.${status}.templateId`,
+            "must be a string or null",
+            "type",
+        );
+      }
+      if (transition.templateId) {
+        await loadTemplate(transition.templateId, businessId);
+      }
+      sanitized[key].templateId = transition.templateId || null;
+    }
+  }
+
+  try {
+    await db.collection("notificationSettings").doc(businessId).set(
+        {
+          businessId,
+          statusTransitions: sanitized,
+          updatedBy: auth.uid,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        {merge: true},
+    );
+
+    log("DEBUG: Updated status notification settings:", {
+      businessId,
+      statuses: Object.keys(sanitized),
+    });
+
+    const updated = await getStatusTransitions(businessId);
+    return {success: true, businessId, statusTransitions: updated};
+  } catch (error) {
+    throw toHttpsError(error, "updateStatusNotificationSettings");
+  }
+});
@@ -0,0 +1,299 @@
+import {randomInt} from "node:crypto";
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {defineString} from "firebase-functions/params";
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {requireAuth, getCallerContext, canAccessStore} from "./authz.js";
+import {normalizeStatus} from "./repairStatus.js";
+import {createStoreLoader} from "./templates.js";
+import {toIsoString} from "./notificationHistory.js";
+import {toHttpsError} from "./errors.js";
+import {REQUIRED_ID, fieldError, validateRequest} from "./validation.js";
+
+const TRACKING_URL = defineString("TRACKING_URL", {
+  description: "Public page that shows a repair from its tracking code",
+  default: "https://fixisy.app/track",
+});
+
+// Unambiguous characters for tracking codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const CODE_LENGTH = 8;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+const DEFAULT_TRACKING_DAYS = 30;
+const MAX_TRACKING_DAYS = 90;
+const MAX_REPAIRS = 100;
+
+/**
+ * The caller's verified phone number, or throws: customers are matched to
+ * repairs by the number they signed in with.
+ * @param {object} auth
+ * @return {string}
+ */
+function requireVerifiedPhone(auth) {
+  const phoneNumber = auth.token.phone_number;
+  if (!phoneNumber) {
+    throw new HttpsError(
+        "failed-precondition",
+        "Sign in with your phone number to see your repairs",
+        {reason: "phone_not_verified"},
+    );
+  }
+  return phoneNumber;
+}
+
+/**
+ * Whether a repair belongs to the customer with this phone number.
+ * @param {object} repair
+ * @param {string} phoneNumber E.164 number from the ID token
+ * @return {boolean}
+ */
+function isCustomerRepair(repair, phoneNumber) {
+  return repair.customerMobileE164 === phoneNumber;
+}
+
+/**
+ * The fields of a repair a customer may see; staff notes, assignees,
+ * prices paid to suppliers and so on are left out.
+ * @param {object} doc Repair snapshot
+ * @param {object|null} store Store document data
+ * @return {object}
+ */
+function toCustomerRepair(doc, store) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    status: normalizeStatus(data.status),
+    deviceBrand: data.deviceBrand || null,
+    deviceModel: data.deviceModel || null,
+    estimatedCost: data.estimatedCost ?? null,
+    estimatedCompletionAt: toIsoString(data.estimatedCompletionAt),
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt),
+    store: store ?
+      {
+        name: store.name || null,
+        phone: store.phone || store.mobile || null,
+        address: store.address || null,
+      } :
+      null,
+  };
+}
+
+/**
+ * Status changes of a repair, oldest first.
+ * @param {object} repairRef
+ * @return {Promise<object[]>} `[{status, changedAt}]`
+ */
+async function getStatusTimeline(repairRef) {
+  const snapshot = await repairRef
+      .collection("statusHistory")
+      .orderBy("changedAt", "asc")
+      .get();
+  return snapshot.docs.map((doc) => ({
+    status: doc.data().to,
+    changedAt: toIsoString(doc.data().changedAt),
+  }));
+}
+
+/**
+ * A repair with its store and timeline, as customers see it.
+ * @param {object} repairDoc
+ * @return {Promise<object>}
+ */
+async function loadCustomerRepair(repairDoc) {
+  const data = repairDoc.data();
+  const [store, timeline] = await Promise.all([
+    createStoreLoader()(data.storeId || data.businessId),
+    getStatusTimeline(repairDoc.ref),
+  ]);
+  return {...toCustomerRepair(repairDoc, store), timeline};
+}
+
+/**
+ * Lists the caller's repairs, newest first: those whose normalized
+ * `customerMobileE164` is the phone number they signed in with.
+ */
+export const listMyRepairs = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  const auth = requireAuth(request);
+  const phoneNumber = requireVerifiedPhone(auth);
+
+  try {
+    const snapshot = await db
+        .collection("repairs")
+        .where("customerMobileE164", "==", phoneNumber)
+        .orderBy("createdAt", "desc")
+        .limit(MAX_REPAIRS)
+        .get();
+    const loadStore = createStoreLoader();
+    const repairs = await Promise.all(
+        snapshot.docs.map(async (doc) =>
+          toCustomerRepair(
+              doc,
+              await loadStore(doc.data().storeId || doc.data().businessId),
+          ),
+        ),
+    );
+    return {success: true, repairs};
+  } catch (error) {
+    throw toHttpsError(error, "listMyRepairs");
+  }
+});
+
+/**
+ * One of the caller's repairs with its status timeline.
+ */
+export const getMyRepair = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const phoneNumber = requireVerifiedPhone(auth);
+  const {repairId} = validateRequest(request, {repairId: REQUIRED_ID});
+
+  const repairDoc = await db.collection("repairs").doc(repairId).get();
+  // Someone else's repair looks the same as a missing one
+  if (!repairDoc.exists || !isCustomerRepair(repairDoc.data(), phoneNumber)) {
+    throw new HttpsError("not-found", "Repair not found", {
+      reason: "repair_not_found",
+    });
+  }
+
+  try {
+    return {success: true, repair: await loadCustomerRepair(repairDoc)};
+  } catch (error) {
+    throw toHttpsError(error, "getMyRepair");
+  }
+});
+
+/**
+ * A random tracking code such as "7KQ2M9XD".
+ * @return {string}
+ */
+function generateTrackingCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Creates a tracking code and link for a repair, so a walk-in customer can
+ * check its status without an account. Staff of the repair's store and the
+ * repair's customer can create one; it expires after `expiresInDays`.
+ */
+export const createRepairTrackingLink = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {repairId, expiresInDays} = validateRequest(request, {
+    repairId: REQUIRED_ID,
+    expiresInDays: {type: "integer", min: 1, max: MAX_TRACKING_DAYS},
+  });
+
+  const repairDoc = await db.collection("repairs").doc(repairId).get();
+  const repair = repairDoc.exists ? repairDoc.data() : null;
+  let allowed = false;
+  if (repair) {
+    const phoneNumber = auth.token.phone_number;
+    allowed = Boolean(phoneNumber) && isCustomerRepair(repair, phoneNumber);
+    if (!allowed) {
+      const caller = await getCallerContext(auth.uid);
+      allowed = canAccessStore(caller, repair.businessId);
+    }
+  }
+  if (!allowed) {
+    throw new HttpsError("not-found", "Repair not found", {
+      reason: "repair_not_found",
+    });
+  }
+
+  try {
+    const expiresAt = new Date(
+        Date.now() + (expiresInDays || DEFAULT_TRACKING_DAYS) * 86400000,
+    );
+    // Retry on the unlikely clash with an existing code
+    let code;
+    for (let attempt = 0; !code; attempt++) {
+      const candidate = generateTrackingCode();
+      try {
+        await db.collection("repairTracking").doc(candidate).create({
+          repairId,
+          businessId: repair.businessId || null,
+          createdBy: auth.uid,
+          createdAt: FieldValue.serverTimestamp(),
+          expiresAt: Timestamp.fromDate(expiresAt),
+        });
+        code = candidate;
+      } catch (error) {
+        if (error.code !== 6 || attempt >= 2) {
+          throw error;
+        }
+      }
+    }
+
+    const url = new URL(TRACKING_URL.value());
+    url.searchParams.set("code", code);
+    log("DEBUG: Created repair tracking code:", {repairId, expiresAt});
+    return {
+      success: true,
+      code,
+      url: url.toString(),
+      expiresAt: expiresAt.toISOString(),
+    };
+  } catch (error) {
+    throw toHttpsError(error, "createRepairTrackingLink");
+  }
+});
+
+/**
+ * Shows a repair and its timeline from a tracking code. Needs no sign-in.
+ */
+export const trackRepair = onCall(async (request) => {
+  log("DEBUG: request.data:", request.data);
+  const {code} = validateRequest(request, {
+    code: {type: "string", required: true, minLength: 1, maxLength: 32},
+  });
+  // Codes are shown grouped and may be typed in lower case
+  const normalizedCode = code.replace(/[\s-]/g, "").toUpperCase();
+  if (!CODE_PATTERN.test(normalizedCode)) {
+    throw fieldError("code", "is not a valid tracking code");
+  }
+
+  const trackingDoc = await db
+      .collection("repairTracking")
+      .doc(normalizedCode)
+      .get();
+  if (!trackingDoc.exists) {
+    throw new HttpsError("not-found", "Unknown tracking code", {
+      reason: "tracking_code_not_found",
+    });
+  }
+  if (trackingDoc.data().expiresAt.toDate() <= new Date()) {
+    throw new HttpsError("failed-precondition", "Tracking code has expired", {
+      reason: "tracking_code_expired",
+    });
+  }
+
+  const repairDoc = await db
+      .collection("repairs")
+      .doc(trackingDoc.data().repairId)
+      .get();
+  if (!repairDoc.exists) {
+    throw new HttpsError("not-found", "Repair not found", {
+      reason: "repair_not_found",
+    });
+  }
+
+  try {
+    return {
+      success: true,
+      repair: await loadCustomerRepair(repairDoc),
+      expiresAt: toIsoString(trackingDoc.data().expiresAt),
+    };
+  } catch (error) {
+    throw toHttpsError(error, "trackRepair");
+  }
+});
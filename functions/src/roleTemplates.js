@@ -0,0 +1,306 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanAccessStore,
+  assertCanManageStore,
+} from "./authz.js";
+import {
+  BUILT_IN_ROLE_TEMPLATES,
+  PERMISSION_CATALOG,
+} from "./permissionCatalog.js";
+import {toIsoString} from "./notificationHistory.js";
+import {recordAudit} from "./audit.js";
+import {toHttpsError} from "./errors.js";
+import {
+  PERMISSIONS,
+  REQUIRED_ID,
+  REQUIRED_TEXT,
+  TEXT,
+  validateRequest,
+} from "./validation.js";
+
+/**
+ * Loads a role template usable at a store: a built-in one, or one the
+ * store's business created.
+ * @param {string} roleTemplateId
+ * @param {string} storeId
+ * @return {Promise<object>} `{id, name, permissions, builtIn}`
+ */
+export async function loadRoleTemplate(roleTemplateId, storeId) {
+  const builtIn = BUILT_IN_ROLE_TEMPLATES.find(
+      (template) => template.id === roleTemplateId,
+  );
+  if (builtIn) {
+    return {...builtIn, builtIn: true};
+  }
+
+  const templateDoc = await db
+      .collection("roleTemplates")
+      .doc(roleTemplateId)
+      .get();
+  if (!templateDoc.exists || templateDoc.data().businessId !== storeId) {
+    throw new HttpsError("not-found", "Role template not found", {
+      reason: "role_template_not_found",
+      roleTemplateId,
+      storeId,
+    });
+  }
+  return {id: templateDoc.id, ...templateDoc.data(), builtIn: false};
+}
+
+/**
+ * The permissions an input grants at a store: its `permissions` plus those
+ * of its `roleTemplateId`, without duplicates.
+ * @param {string} storeId
+ * @param {object} input `{permissions, roleTemplateId}`
+ * @return {Promise<string[]>}
+ */
+export async function resolvePermissions(storeId, input) {
+  const resolved = new Set(input.permissions || []);
+  if (input.roleTemplateId) {
+    const template = await loadRoleTemplate(input.roleTemplateId, storeId);
+    template.permissions.forEach((permission) => resolved.add(permission));
+  }
+  return Array.from(resolved);
+}
+
+/**
+ * Expands the role templates of store assignments into permissions. The
+ * template id is kept on the assignment so editors can show it.
+ * @param {object[]} assignedStores
+ * @return {Promise<object[]>}
+ */
+export async function expandAssignments(assignedStores) {
+  return Promise.all(
+      assignedStores.map(async (assignment) => {
+        const expanded = {
+          ...assignment,
+          permissions: await resolvePermissions(assignment.storeId, assignment),
+        };
+        if (!assignment.roleTemplateId) {
+          delete expanded.roleTemplateId;
+        }
+        return expanded;
+      }),
+  );
+}
+
+/**
+ * Shapes a custom role template for callable responses.
+ * @param {object} doc
+ * @return {object}
+ */
+function serializeRoleTemplate(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    name: data.name,
+    description: data.description || null,
+    permissions: data.permissions,
+    builtIn: false,
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt),
+  };
+}
+
+/**
+ * Loads a custom role template for editing and checks the caller manages
+ * its business. Built-in templates cannot be edited.
+ * @param {object} caller
+ * @param {string} roleTemplateId
+ * @return {Promise<object>} The template document
+ */
+async function getManagedRoleTemplate(caller, roleTemplateId) {
+  const templateDoc = await db
+      .collection("roleTemplates")
+      .doc(roleTemplateId)
+      .get();
+  if (!templateDoc.exists) {
+    throw new HttpsError("not-found", "Role template not found", {
+      reason: "role_template_not_found",
+      roleTemplateId,
+    });
+  }
+  assertCanManageStore(caller, templateDoc.data().businessId);
+  return templateDoc;
+}
+
+/**
+ * Everything the app needs to render the permission editor for a store:
+ * the permission catalog and the built-in and custom role templates.
+ */
+export const listPermissions = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId} = validateRequest(request, {businessId: REQUIRED_ID});
+  const caller = await getCallerContext(auth.uid);
+  assertCanAccessStore(caller, businessId);
+
+  try {
+    const snapshot = await db
+        .collection("roleTemplates")
+        .where("businessId", "==", businessId)
+        .get();
+    return {
+      success: true,
+      permissions: PERMISSION_CATALOG,
+      roleTemplates: [
+        ...BUILT_IN_ROLE_TEMPLATES.map((template) => ({
+          ...template,
+          description: null,
+          builtIn: true,
+        })),
+        ...snapshot.docs.map(serializeRoleTemplate),
+      ],
+    };
+  } catch (error) {
+    throw toHttpsError(error, "listPermissions");
+  }
+});
+
+export const createRoleTemplate = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId, name, description, permissions} = validateRequest(
+      request,
+      {
+        businessId: REQUIRED_ID,
+        name: REQUIRED_TEXT,
+        description: TEXT,
+        permissions: {...PERMISSIONS, required: true, minItems: 1},
+      },
+  );
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, businessId);
+
+  try {
+    const templateRef = db.collection("roleTemplates").doc();
+    const template = {
+      name: name.trim(),
+      permissions: Array.from(new Set(permissions)),
+    };
+    await templateRef.set({
+      businessId,
+      ...template,
+      description: description || null,
+      createdBy: auth.uid,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Created role template:", {
+      roleTemplateId: templateRef.id,
+      businessId,
+    });
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "role_template.create",
+      storeIds: [businessId],
+      target: {type: "roleTemplate", id: templateRef.id},
+      details: template,
+    });
+    return {success: true, roleTemplateId: templateRef.id};
+  } catch (error) {
+    throw toHttpsError(error, "createRoleTemplate");
+  }
+});
+
+/**
+ * Edits a custom role template. Staff who were given its permissions keep
+ * them; templates only fill in permissions when they are applied.
+ */
+export const updateRoleTemplate = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {roleTemplateId, name, description, permissions} = validateRequest(
+      request,
+      {
+        roleTemplateId: REQUIRED_ID,
+        name: TEXT,
+        description: TEXT,
+        permissions: {...PERMISSIONS, minItems: 1},
+      },
+  );
+  const caller = await getCallerContext(auth.uid);
+  const templateDoc = await getManagedRoleTemplate(caller, roleTemplateId);
+
+  const updates = {};
+  if (name) {
+    updates.name = name.trim();
+  }
+  if (description !== undefined) {
+    updates.description = description;
+  }
+  if (permissions) {
+    updates.permissions = Array.from(new Set(permissions));
+  }
+
+  try {
+    await templateDoc.ref.update({
+      ...updates,
+      updatedBy: auth.uid,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Updated role template:", {
+      roleTemplateId,
+      fields: Object.keys(updates),
+    });
+    const current = templateDoc.data();
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "role_template.update",
+      storeIds: [current.businessId],
+      target: {type: "roleTemplate", id: roleTemplateId},
+      details: {
+        updatedFields: Object.keys(updates),
+        permissions: updates.permissions ?
+          {before: current.permissions, after: updates.permissions} :
+          null,
+      },
+    });
+    return {success: true, roleTemplateId};
+  } catch (error) {
+    throw toHttpsError(error, "updateRoleTemplate");
+  }
+});
+
+export const deleteRoleTemplate = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {roleTemplateId} = validateRequest(request, {
+    roleTemplateId: REQUIRED_ID,
+  });
+  const caller = await getCallerContext(auth.uid);
+  const templateDoc = await getManagedRoleTemplate(caller, roleTemplateId);
+
+  try {
+    await templateDoc.ref.delete();
+    log("DEBUG: Deleted role template:", roleTemplateId);
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "role_template.delete",
+      storeIds: [templateDoc.data().businessId],
+      target: {type: "roleTemplate", id: roleTemplateId},
+      details: {
+        name: templateDoc.data().name,
+        permissions: templateDoc.data().permissions,
+      },
+    });
+    return {success: true};
+  } catch (error) {
+    throw toHttpsError(error, "deleteRoleTemplate");
+  }
+});
@@ -0,0 +1,519 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {onSchedule} from "firebase-functions/v2/scheduler";
+import {log} from "firebase-functions/logger";
+import {FieldValue, Timestamp} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStore,
+  canManageStore,
+} from "./authz.js";
+import {runBroadcast} from "./broadcast.js";
+import {PUSH_SECRETS} from "./push/index.js";
+import {normalizeAudienceFilters} from "./audience.js";
+import {
+  formatLocalDateTime,
+  isValidTimeZone,
+  parseDateTime,
+} from "./time.js";
+import {toIsoString} from "./notificationHistory.js";
+import {recordAudit} from "./audit.js";
+import {
+  assertHasContent,
+  loadTemplate,
+  normalizeTemplateVariables,
+} from "./templates.js";
+import {toHttpsError} from "./errors.js";
+import {
+  ID,
+  REQUIRED_ID,
+  TEXT,
+  fieldError,
+  validateRequest,
+} from "./validation.js";
+
+// Broadcasts dispatched per scheduler run
+const DISPATCH_BATCH_SIZE = 20;
+// A dispatch still "sending" after this long died before it finished
+const DISPATCH_TIMEOUT_MS = 15 * 60 * 1000;
+const SCHEDULED_STATUSES = [
+  "pending",
+  "sending",
+  "sent",
+  "failed",
+  "cancelled",
+];
+
+/**
+ * Resolves and validates `sendAt` + `timeZone`; the result must be in the
+ * future.
+ * @param {string|number} sendAt
+ * @param {string} [timeZone]
+ * @return {Date}
+ */
+function resolveSendAt(sendAt, timeZone) {
+  if (timeZone !== undefined && timeZone !== null &&
+      !isValidTimeZone(timeZone)) {
+    throw fieldError("timeZone", "is not a known time zone");
+  }
+  const sendAtDate = parseDateTime(sendAt, timeZone || undefined);
+  if (!sendAtDate) {
+    throw fieldError(
+        "sendAt",
+        "must be an ISO date-time or epoch milliseconds",
+        "format",
+    );
+  }
+  if (sendAtDate.getTime() <= Date.now()) {
+    throw fieldError("sendAt", "must be in the future", "range");
+  }
+  return sendAtDate;
+}
+
+/**
+ * Shapes a scheduled broadcast document for callable responses.
+ * @param {object} doc
+ * @return {object}
+ */
+function serializeScheduledBroadcast(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    sendAt: toIsoString(data.sendAt),
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt),
+    startedAt: toIsoString(data.startedAt),
+    sentAt: toIsoString(data.sentAt),
+    cancelledAt: toIsoString(data.cancelledAt),
+  };
+}
+
+/**
+ * Queues a broadcast for `sendAt`. Authorization is the caller's
+ * responsibility.
+ * @param {object} broadcast
+ * @param {string} broadcast.businessId
+ * @param {string} [broadcast.title] Required without `templateId`
+ * @param {string} [broadcast.message] Required without `templateId`
+ * @param {string} [broadcast.templateId]
+ * @param {object} [broadcast.variables] Template variables
+ * @param {string} [broadcast.imageUrl]
+ * @param {object} [broadcast.data]
+ * @param {object|null} [broadcast.audience] From `normalizeAudienceFilters`
+ * @param {string|number} broadcast.sendAt
+ * @param {string} [broadcast.timeZone]
+ * @param {string} broadcast.createdBy
+ * @return {Promise<object>}
+ */
+export async function scheduleBroadcast({
+  businessId,
+  title,
+  message,
+  templateId,
+  variables,
+  imageUrl,
+  data,
+  audience,
+  sendAt,
+  timeZone,
+  createdBy,
+}) {
+  const sendAtDate = resolveSendAt(sendAt, timeZone);
+
+  const scheduledRef = db.collection("scheduledBroadcasts").doc();
+  await scheduledRef.set({
+    businessId,
+    title: title || null,
+    message: message || null,
+    templateId: templateId || null,
+    variables: variables || null,
+    imageUrl: imageUrl || null,
+    data: data || {},
+    audience: audience || null,
+    sendAt: Timestamp.fromDate(sendAtDate),
+    // As given, so a new time zone can re-read a local time
+    sendAtInput: sendAt,
+    timeZone: timeZone || null,
+    status: "pending",
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  log("DEBUG: Scheduled broadcast:", {
+    scheduledBroadcastId: scheduledRef.id,
+    businessId,
+    sendAt: sendAtDate.toISOString(),
+    timeZone,
+  });
+
+  return {
+    success: true,
+    scheduled: true,
+    scheduledBroadcastId: scheduledRef.id,
+    sendAt: sendAtDate.toISOString(),
+  };
+}
+
+/**
+ * Loads a scheduled broadcast and checks the caller can manage its store.
+ * @param {object} caller
+ * @param {string} scheduledBroadcastId
+ * @return {Promise<object>} The document reference
+ */
+async function getManagedScheduledBroadcast(caller, scheduledBroadcastId) {
+  const scheduledRef = db
+      .collection("scheduledBroadcasts")
+      .doc(scheduledBroadcastId);
+  const scheduledDoc = await scheduledRef.get();
+  if (!scheduledDoc.exists) {
+    throw new HttpsError("not-found", "Scheduled broadcast not found", {
+      reason: "scheduled_broadcast_not_found",
+    });
+  }
+  assertCanManageStore(caller, scheduledDoc.data().businessId);
+  return scheduledRef;
+}
+
+/**
+ * Claims a due broadcast, sends it and stores the outcome. The claim is a
+ * transaction so overlapping scheduler runs never send a broadcast twice.
+ * @param {object} scheduledRef
+ * @return {Promise<void>}
+ */
+async function dispatchScheduledBroadcast(scheduledRef) {
+  const broadcast = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(scheduledRef);
+    if (!doc.exists || doc.data().status !== "pending") {
+      return null;
+    }
+    transaction.update(scheduledRef, {
+      status: "sending",
+      startedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return doc.data();
+  });
+
+  if (!broadcast) {
+    return;
+  }
+
+  try {
+    // The creator may have lost access since the broadcast was queued
+    const creator = await getCallerContext(broadcast.createdBy);
+    if (!canManageStore(creator, broadcast.businessId)) {
+      throw new Error("Creator is no longer allowed to manage this store");
+    }
+
+    const result = await runBroadcast({
+      businessId: broadcast.businessId,
+      title: broadcast.title,
+      message: broadcast.message,
+      templateId: broadcast.templateId || undefined,
+      variables: broadcast.variables || undefined,
+      imageUrl: broadcast.imageUrl || undefined,
+      data: broadcast.data,
+      audience: broadcast.audience || null,
+      senderUid: broadcast.createdBy,
+    });
+
+    await scheduledRef.update({
+      status: "sent",
+      // Delivery counts accumulate on the notification as workers finish
+      notificationId: result.notificationId || null,
+      jobId: result.jobId || null,
+      audienceSize: result.audienceSize || 0,
+      sentAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Dispatched scheduled broadcast:", {
+      scheduledBroadcastId: scheduledRef.id,
+      notificationId: result.notificationId,
+    });
+  } catch (error) {
+    log("DEBUG: Error dispatching scheduled broadcast:", {
+      scheduledBroadcastId: scheduledRef.id,
+      error: error.message,
+    });
+    await scheduledRef.update({
+      status: "failed",
+      error: error.message,
+      errorCode: error.code || null,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+/**
+ * Marks broadcasts whose dispatcher stopped mid-send (a crash or timeout)
+ * as failed, so they do not stay "sending" for ever. They are not retried:
+ * the broadcast may already have been queued, and sending it again would
+ * reach customers twice.
+ * @return {Promise<number>} Number of broadcasts marked failed
+ */
+async function failStaleDispatches() {
+  const staleBefore = Timestamp.fromMillis(Date.now() - DISPATCH_TIMEOUT_MS);
+  const staleSnapshot = await db
+      .collection("scheduledBroadcasts")
+      .where("status", "==", "sending")
+      .where("startedAt", "<=", staleBefore)
+      .limit(DISPATCH_BATCH_SIZE)
+      .get();
+
+  let failed = 0;
+  for (const doc of staleSnapshot.docs) {
+    const marked = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(doc.ref);
+      if (
+        current.data()?.status !== "sending" ||
+        current.data().startedAt?.toMillis() > staleBefore.toMillis()
+      ) {
+        return false;
+      }
+      transaction.update(doc.ref, {
+        status: "failed",
+        error:
+          "Dispatch did not finish; check the notification history before " +
+          "scheduling it again",
+        errorCode: "dispatch_timed_out",
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    if (marked) {
+      failed += 1;
+    }
+  }
+
+  if (failed > 0) {
+    log("DEBUG: Marked stale scheduled broadcasts as failed:", failed);
+  }
+  return failed;
+}
+
+export const dispatchScheduledBroadcasts = onSchedule(
+    {schedule: "every 1 minutes", secrets: PUSH_SECRETS},
+    async () => {
+      await failStaleDispatches();
+
+      const dueSnapshot = await db
+          .collection("scheduledBroadcasts")
+          .where("status", "==", "pending")
+          .where("sendAt", "<=", Timestamp.now())
+          .orderBy("sendAt", "asc")
+          .limit(DISPATCH_BATCH_SIZE)
+          .get();
+
+      if (dueSnapshot.empty) {
+        return;
+      }
+
+      log("DEBUG: Due scheduled broadcasts:", dueSnapshot.size);
+      for (const doc of dueSnapshot.docs) {
+        await dispatchScheduledBroadcast(doc.ref);
+      }
+    },
+);
+
+export const listScheduledBroadcasts = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId, status} = validateRequest(request, {
+    businessId: REQUIRED_ID,
+    status: {type: "string", enum: SCHEDULED_STATUSES},
+  });
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, businessId);
+
+  try {
+    let query = db.collection("scheduledBroadcasts")
+        .where("businessId", "==", businessId);
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+    const snapshot = await query.orderBy("sendAt", "asc").get();
+
+    return {
+      success: true,
+      scheduledBroadcasts: snapshot.docs.map(serializeScheduledBroadcast),
+    };
+  } catch (error) {
+    throw toHttpsError(error, "listScheduledBroadcasts");
+  }
+});
+
+export const updateScheduledBroadcast = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {
+    scheduledBroadcastId,
+    title,
+    message,
+    templateId,
+    variables,
+    imageUrl,
+    data,
+    audience,
+    sendAt,
+    timeZone,
+  } = validateRequest(request, {
+    scheduledBroadcastId: REQUIRED_ID,
+    title: TEXT,
+    message: TEXT,
+    templateId: ID,
+    variables: {type: "object"},
+    imageUrl: {type: "string"},
+    data: {type: "object"},
+    audience: {type: "object"},
+    sendAt: {type: ["string", "integer"]},
+    timeZone: {type: "string"},
+  });
+  const caller = await getCallerContext(auth.uid);
+  const scheduledRef = await getManagedScheduledBroadcast(
+      caller,
+      scheduledBroadcastId,
+  );
+
+  const updates = {};
+  if (title !== undefined) {
+    updates.title = title;
+  }
+  if (message !== undefined) {
+    updates.message = message;
+  }
+  if (templateId !== undefined) {
+    updates.templateId = templateId || null;
+  }
+  if (variables !== undefined) {
+    updates.variables = normalizeTemplateVariables(variables);
+  }
+  if (imageUrl !== undefined) {
+    updates.imageUrl = imageUrl || null;
+  }
+  if (data !== undefined) {
+    updates.data = data || {};
+  }
+  if (audience !== undefined) {
+    updates.audience = normalizeAudienceFilters(audience);
+  }
+
+  try {
+    const updated = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(scheduledRef);
+      const current = doc.data();
+      if (current.status !== "pending") {
+        throw new HttpsError(
+            "failed-precondition",
+            `Broadcast is already ${current.status}`,
+            {reason: "broadcast_not_pending", status: current.status},
+        );
+      }
+
+      assertHasContent({...current, ...updates});
+      if (updates.templateId) {
+        await loadTemplate(updates.templateId, current.businessId);
+      }
+
+      // A new time zone moves a local `sendAt` to the same wall-clock
+      // time there; epoch and offset times stay the same instant
+      if (sendAt !== undefined || timeZone !== undefined) {
+        const zone = timeZone !== undefined ? timeZone : current.timeZone;
+        const input = sendAt !== undefined ?
+          sendAt :
+          current.sendAtInput ??
+            formatLocalDateTime(
+                current.sendAt.toDate(),
+                current.timeZone || "UTC",
+            );
+        updates.sendAt = Timestamp.fromDate(resolveSendAt(input, zone));
+        updates.sendAtInput = input;
+        updates.timeZone = zone || null;
+      }
+
+      transaction.update(scheduledRef, {
+        ...updates,
+        updatedBy: auth.uid,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return {...current, ...updates};
+    });
+
+    log("DEBUG: Updated scheduled broadcast:", {
+      scheduledBroadcastId,
+      fields: Object.keys(updates),
+    });
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "broadcast.update",
+      storeIds: [updated.businessId],
+      target: {type: "scheduledBroadcast", id: scheduledBroadcastId},
+      details: {
+        updatedFields: Object.keys(updates),
+        sendAt: toIsoString(updated.sendAt),
+      },
+    });
+
+    return {
+      success: true,
+      scheduledBroadcastId,
+      sendAt: toIsoString(updated.sendAt),
+    };
+  } catch (error) {
+    throw toHttpsError(error, "updateScheduledBroadcast");
+  }
+});
+
+export const cancelScheduledBroadcast = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {scheduledBroadcastId} = validateRequest(request, {
+    scheduledBroadcastId: REQUIRED_ID,
+  });
+  const caller = await getCallerContext(auth.uid);
+  const scheduledRef = await getManagedScheduledBroadcast(
+      caller,
+      scheduledBroadcastId,
+  );
+
+  try {
+    const businessId = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(scheduledRef);
+      const {status} = doc.data();
+      if (status !== "pending") {
+        throw new HttpsError(
+            "failed-precondition",
+            `Broadcast is already ${status}`,
+            {reason: "broadcast_not_pending", status},
+        );
+      }
+      transaction.update(scheduledRef, {
+        status: "cancelled",
+        cancelledBy: auth.uid,
+        cancelledAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return doc.data().businessId;
+    });
+
+    log("DEBUG: Cancelled scheduled broadcast:", scheduledBroadcastId);
+    await recordAudit({
+      actorUid: auth.uid,
+      action: "broadcast.cancel",
+      storeIds: [businessId],
+      target: {type: "scheduledBroadcast", id: scheduledBroadcastId},
+    });
+    return {success: true, scheduledBroadcastId};
+  } catch (error) {
+    throw toHttpsError(error, "cancelScheduledBroadcast");
+  }
+});
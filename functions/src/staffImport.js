@@ -0,0 +1,369 @@
+import {randomBytes} from "node:crypto";
+import {onCall} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {getAuth} from "firebase-admin/auth";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStore,
+} from "./authz.js";
+import {createStaffProfile} from "./staffLifecycle.js";
+import {expandAssignments} from "./roleTemplates.js";
+import {toIsoString} from "./notificationHistory.js";
+import {parseCsv, toCsv} from "./csv.js";
+import {toHttpsError} from "./errors.js";
+import {
+  ID,
+  PERMISSIONS,
+  REQUIRED_ID,
+  REQUIRED_TEXT,
+  invalidRequest,
+  validateRequest,
+} from "./validation.js";
+
+const MAX_IMPORT_ROWS = 500;
+
+// Columns of the staff CSV; lists inside a cell are separated by ";"
+export const STAFF_CSV_COLUMNS = [
+  "uid",
+  "email",
+  "name",
+  "mobile",
+  "storeIds",
+  "permissions",
+  "roleTemplateId",
+  "active",
+  "createdAt",
+];
+
+const STAFF_ROW_SCHEMA = {
+  email: {type: "string", required: true, format: "email"},
+  name: REQUIRED_TEXT,
+  mobile: {type: "string", format: "phone"},
+  password: {type: "string", minLength: 6},
+  assignedStores: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    items: {
+      type: "object",
+      properties: {
+        storeId: REQUIRED_ID,
+        permissions: PERMISSIONS,
+        roleTemplateId: ID,
+        isActive: {type: "boolean"},
+      },
+    },
+  },
+};
+
+/**
+ * Splits a ";"-separated CSV cell into its values.
+ * @param {string} [value]
+ * @return {string[]}
+ */
+function splitList(value) {
+  return (value || "")
+      .split(";")
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+}
+
+/**
+ * Turns a CSV or JSON row into the shape `createStaffUser` takes. Rows may
+ * give `assignedStores` directly, or `storeIds` that all get `permissions`
+ * and `roleTemplateId`.
+ * @param {object} row
+ * @return {object}
+ */
+function normalizeRow(row) {
+  const fromCsv = typeof row.storeIds === "string";
+  const storeIds = fromCsv ? splitList(row.storeIds) : row.storeIds;
+  const permissions = typeof row.permissions === "string" ?
+    splitList(row.permissions) :
+    row.permissions;
+
+  const roleTemplateId = row.roleTemplateId || undefined;
+
+  let assignedStores = row.assignedStores;
+  if (assignedStores === undefined && Array.isArray(storeIds)) {
+    assignedStores = storeIds.map((storeId) => ({
+      storeId,
+      permissions,
+      roleTemplateId,
+    }));
+  }
+
+  return {
+    email: typeof row.email === "string" ? row.email.trim() : row.email,
+    name: row.name,
+    mobile: row.mobile === "" ? undefined : row.mobile,
+    password: row.password === "" ? undefined : row.password,
+    assignedStores,
+  };
+}
+
+/**
+ * Validates every row up front and returns them ready to import. All
+ * problems are reported at once, with fields prefixed by `rows[<index>]`.
+ * @param {object[]} rows
+ * @return {object[]}
+ */
+function validateRows(rows) {
+  const errors = [];
+  const emails = new Map();
+  const validRows = rows.map((row, index) => {
+    const prefix = `rows[${index}]`;
+    let checked;
+    try {
+      checked = validateRequest({data: normalizeRow(row)}, STAFF_ROW_SCHEMA);
+    } catch (error) {
+      (error.details?.errors || []).forEach((rowError) =>
+        errors.push({...rowError, field: `${prefix}.${rowError.field}`}),
+      );
+      return null;
+    }
+
+    const email = checked.email.toLowerCase();
+    if (emails.has(email)) {
+      errors.push({
+        field: `${prefix}.email`,
+        code: "duplicate",
+        message: `is the same as rows[${emails.get(email)}].email`,
+      });
+    }
+    emails.set(email, index);
+    return {...checked, line: row.line || null};
+  });
+
+  if (errors.length > 0) {
+    throw invalidRequest(errors);
+  }
+  return validRows;
+}
+
+/**
+ * The `details.reason` a row failed with, falling back to "internal" for
+ * errors that carry none.
+ * @param {Error} error
+ * @return {string}
+ */
+function getFailureReason(error) {
+  return toHttpsError(error, "importStaffUsers").details?.reason || "internal";
+}
+
+/**
+ * Creates one imported staff member through `createStaffProfile`, like
+ * `createStaffUser` does.
+ * @param {string} actorUid Who runs the import
+ * @param {object} row Validated row, with role templates expanded
+ * @return {Promise<object>} Per-row result
+ */
+async function importRow(actorUid, row) {
+  const {email, name, mobile, password, assignedStores} = row;
+  const result = {email, line: row.line};
+
+  try {
+    const existing = await getAuth().getUserByEmail(email);
+    return {...result, status: "skipped_duplicate", uid: existing.uid};
+  } catch (error) {
+    if (error.code !== "auth/user-not-found") {
+      return {
+        ...result,
+        status: "failed",
+        reason: getFailureReason(error),
+      };
+    }
+  }
+
+  let uid;
+  try {
+    // Rows without a password get a random one and a link to set their own
+    ({uid} = await createStaffProfile(
+        actorUid,
+        {
+          email,
+          password: password || randomBytes(24).toString("base64url"),
+          name,
+          mobile,
+          assignedStores,
+        },
+        {source: "import"},
+    ));
+  } catch (error) {
+    if (error.code === "auth/email-already-exists") {
+      return {...result, status: "skipped_duplicate"};
+    }
+    return {
+      ...result,
+      status: "failed",
+      reason: getFailureReason(error),
+    };
+  }
+
+  // The account is complete; a missing link only means resetting by hand
+  const created = {...result, status: "created", uid};
+  if (!password) {
+    try {
+      created.passwordResetLink =
+        await getAuth().generatePasswordResetLink(email);
+    } catch (error) {
+      log("DEBUG: Could not generate password reset link:", {
+        uid,
+        error: error.message,
+      });
+      created.passwordResetLink = null;
+    }
+  }
+  return created;
+}
+
+/**
+ * Creates staff members in bulk from CSV (`csv`, with a header row using
+ * the `STAFF_CSV_COLUMNS` names) or JSON (`staff`, objects like
+ * `createStaffUser` data). All rows are validated, and the caller's right
+ * to manage every store checked, before any account is created. Returns a
+ * result per row: `created`, `skipped_duplicate` or `failed` with a reason.
+ */
+export const importStaffUsers = onCall(
+    {timeoutSeconds: 540},
+    async (request) => {
+      log("DEBUG: request.auth:", request.auth);
+      const auth = requireAuth(request);
+      const {format, csv, staff} = validateRequest(request, {
+        format: {type: "string", required: true, enum: ["csv", "json"]},
+        csv: {type: "string"},
+        staff: {type: "array", items: {type: "object"}},
+      });
+
+      const rows = format === "csv" ? parseCsv(csv || "") : staff || [];
+      if (rows.length === 0) {
+        throw invalidRequest([{
+          field: format === "csv" ? "csv" : "staff",
+          code: "required",
+          message: "must contain at least one staff member",
+        }]);
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        throw invalidRequest([{
+          field: format === "csv" ? "csv" : "staff",
+          code: "length",
+          message: `must contain at most ${MAX_IMPORT_ROWS} staff members`,
+        }]);
+      }
+      const validRows = validateRows(rows);
+
+      const caller = await getCallerContext(auth.uid);
+      const storeIds = new Set(
+          validRows.flatMap((row) =>
+            row.assignedStores.map((assignment) => assignment.storeId),
+          ),
+      );
+      storeIds.forEach((storeId) => assertCanManageStore(caller, storeId));
+      for (const row of validRows) {
+        row.assignedStores = await expandAssignments(row.assignedStores);
+      }
+
+      // One at a time: Auth rate-limits account creation
+      const results = [];
+      for (const row of validRows) {
+        results.push(await importRow(auth.uid, row));
+      }
+
+      const summary = {created: 0, skipped_duplicate: 0, failed: 0};
+      results.forEach((result) => {
+        summary[result.status] += 1;
+      });
+      log("DEBUG: Staff import finished:", {uid: auth.uid, summary});
+      return {success: true, summary, results};
+    },
+);
+
+/**
+ * Lists the staff roster of a store as JSON rows or CSV in the import
+ * format, so an export can be edited and imported elsewhere.
+ */
+export const exportStaffUsers = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {storeId, format = "json", includeInactive} = validateRequest(
+      request,
+      {
+        storeId: REQUIRED_ID,
+        format: {type: "string", enum: ["csv", "json"]},
+        includeInactive: {type: "boolean"},
+      },
+  );
+
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, storeId);
+
+  try {
+    // Multi-store staff by `assignedStoreIds`, legacy staff by
+    // `businessId`
+    const users = db.collection("users");
+    const [assigned, legacy] = await Promise.all([
+      users.where("assignedStoreIds", "array-contains", storeId).get(),
+      users
+          .where("businessId", "==", storeId)
+          .where("role", "==", "staff")
+          .get(),
+    ]);
+    const docs = new Map(
+        [...assigned.docs, ...legacy.docs].map((doc) => [doc.id, doc]),
+    );
+    const staff = [];
+    docs.forEach((doc) => {
+      const data = doc.data();
+      if (data.role !== "staff") {
+        return;
+      }
+      const assignment = (data.assignedStores || []).find(
+          (candidate) => candidate?.storeId === storeId,
+      );
+      const isLegacyMember = !assignment && data.businessId === storeId;
+      if (!assignment && !isLegacyMember) {
+        return;
+      }
+      const active =
+        data.active !== false && (!assignment || assignment.isActive !== false);
+      if (!active && !includeInactive) {
+        return;
+      }
+      staff.push({
+        uid: doc.id,
+        email: data.email || null,
+        name: data.name || null,
+        mobile: data.mobile || null,
+        storeIds: [storeId],
+        permissions: (assignment || data).permissions || [],
+        roleTemplateId: assignment?.roleTemplateId || null,
+        active,
+        createdAt: toIsoString(data.createdAt),
+      });
+    });
+    staff.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+    log("DEBUG: Exported staff roster:", {storeId, count: staff.length});
+    if (format === "csv") {
+      return {
+        success: true,
+        storeId,
+        count: staff.length,
+        csv: toCsv(
+            STAFF_CSV_COLUMNS,
+            staff.map((member) => ({
+              ...member,
+              storeIds: member.storeIds.join(";"),
+              permissions: member.permissions.join(";"),
+            })),
+        ),
+      };
+    }
+    return {success: true, storeId, count: staff.length, staff};
+  } catch (error) {
+    throw toHttpsError(error, "exportStaffUsers");
+  }
+});
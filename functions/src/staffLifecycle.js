@@ -0,0 +1,307 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {getAuth} from "firebase-admin/auth";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStaff,
+  canAccessStore,
+} from "./authz.js";
+import {normalizeStatus} from "./repairStatus.js";
+import {getAssignedStoreIds, resolveActiveStore} from "./activeStore.js";
+import {recordStaffAudit} from "./audit.js";
+import {toHttpsError} from "./errors.js";
+import {REQUIRED_ID, TEXT, fieldError, validateRequest} from "./validation.js";
+
+/**
+ * Repair statuses after which a repair no longer needs its assignee.
+ */
+export const CLOSED_REPAIR_STATUSES = ["delivered", "cancelled"];
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Loads a staff profile the caller may manage, or throws.
+ * @param {object} caller
+ * @param {string} staffUid
+ * @return {Promise<object>} `{ref, data}`
+ */
+export async function loadManageableStaff(caller, staffUid) {
+  const staffRef = db.collection("users").doc(staffUid);
+  const staffDoc = await staffRef.get();
+  if (!staffDoc.exists) {
+    throw new HttpsError("not-found", "Staff user not found", {
+      reason: "staff_not_found",
+    });
+  }
+  const staffData = staffDoc.data();
+  assertCanManageStaff(caller, staffUid, staffData);
+  return {ref: staffRef, data: staffData};
+}
+
+/**
+ * Creates a staff member: their Auth account, their profile and the
+ * `staff.create` audit entry. The Auth user is deleted again when the
+ * profile cannot be written, so no account is left without a profile.
+ * @param {string} actorUid Who creates them
+ * @param {object} staff `{email, password, name, mobile}` with either
+ *   `assignedStores` (role templates already expanded) or the legacy
+ *   `businessId` and `permissions`
+ * @param {object} [details] Extra audit details
+ * @return {Promise<object>} `{uid, profile}`
+ */
+export async function createStaffProfile(actorUid, staff, details = {}) {
+  const {email, password, name, mobile} = staff;
+  const userRecord = await getAuth().createUser({
+    email,
+    password,
+    displayName: name,
+  });
+  const uid = userRecord.uid;
+
+  const profile = {
+    uid,
+    email,
+    name,
+    mobile: mobile || null,
+    role: "staff",
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    active: true,
+  };
+  if (staff.assignedStores) {
+    profile.assignedStores = staff.assignedStores.map((assignment) => ({
+      storeId: assignment.storeId,
+      permissions: assignment.permissions || [],
+      ...(assignment.roleTemplateId && {
+        roleTemplateId: assignment.roleTemplateId,
+      }),
+      isActive: assignment.isActive !== false,
+    }));
+    profile.assignedStoreIds = getAssignedStoreIds(profile.assignedStores);
+    Object.assign(profile, resolveActiveStore(profile.assignedStores));
+  } else {
+    profile.businessId = staff.businessId;
+    profile.permissions = staff.permissions || [];
+  }
+
+  try {
+    await db.collection("users").doc(uid).set(profile);
+  } catch (error) {
+    try {
+      await getAuth().deleteUser(uid);
+    } catch (rollbackError) {
+      log("DEBUG: Could not roll back staff Auth user:", {
+        uid,
+        error: rollbackError.message,
+      });
+    }
+    throw error;
+  }
+
+  log("DEBUG: Staff user created successfully:", {
+    uid,
+    email,
+    activeStoreId: profile.activeStoreId || null,
+    businessId: profile.businessId || null,
+  });
+  await recordStaffAudit(actorUid, "staff.create", uid, null, profile, {
+    email,
+    ...details,
+  });
+  return {uid, profile};
+}
+
+/**
+ * Lists the repairs assigned to a staff member (`repairs.assignedTo`) that
+ * are not delivered or cancelled yet.
+ * @param {string} staffUid
+ * @return {Promise<object[]>} Repair snapshots
+ */
+export async function findOpenRepairs(staffUid) {
+  const snapshot = await db
+      .collection("repairs")
+      .where("assignedTo", "==", staffUid)
+      .get();
+  return snapshot.docs.filter(
+      (doc) =>
+        !CLOSED_REPAIR_STATUSES.includes(normalizeStatus(doc.data().status)),
+  );
+}
+
+/**
+ * Throws unless open repairs can be handed over to another user: the
+ * target must be able to work in the store of every repair (an active
+ * staff member, the owner or an admin).
+ * @param {object[]} repairs Repair snapshots from `findOpenRepairs`
+ * @param {string} fromUid
+ * @param {string} toUid
+ */
+export async function assertCanReassignRepairs(repairs, fromUid, toUid) {
+  if (toUid === fromUid) {
+    throw fieldError("reassignTo", "must be a different user");
+  }
+  const target = await getCallerContext(toUid);
+  if (!target.role) {
+    throw fieldError("reassignTo", "is not a known user");
+  }
+  const inaccessible = repairs.find(
+      (doc) => !canAccessStore(target, doc.data().businessId),
+  );
+  if (inaccessible) {
+    throw new HttpsError(
+        "failed-precondition",
+        "The reassignment target does not work in the store of every open " +
+          "repair",
+        {
+          reason: "reassign_target_not_in_store",
+          repairId: inaccessible.id,
+          businessId: inaccessible.data().businessId || null,
+        },
+    );
+  }
+}
+
+/**
+ * Hands open repairs over to another user, checked with
+ * `assertCanReassignRepairs`.
+ * @param {object[]} repairs Repair snapshots from `findOpenRepairs`
+ * @param {string} fromUid
+ * @param {string} toUid
+ * @param {string} reassignedBy
+ * @return {Promise<number>} Number of repairs reassigned
+ */
+export async function reassignRepairs(repairs, fromUid, toUid, reassignedBy) {
+  await assertCanReassignRepairs(repairs, fromUid, toUid);
+  for (let i = 0; i < repairs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    repairs.slice(i, i + BATCH_SIZE).forEach((doc) => {
+      batch.update(doc.ref, {
+        assignedTo: toUid,
+        reassignedFrom: fromUid,
+        reassignedBy,
+        reassignedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  log("DEBUG: Reassigned open repairs:", {
+    fromUid,
+    toUid,
+    count: repairs.length,
+  });
+  return repairs.length;
+}
+
+const DEACTIVATE_STAFF_SCHEMA = {
+  staffUid: REQUIRED_ID,
+  reason: TEXT,
+};
+
+/**
+ * Disables a staff member without deleting them: their Auth account is
+ * disabled, their sessions are revoked and the profile is kept with
+ * `active: false` so repairs referencing their uid stay meaningful.
+ */
+export const deactivateStaffUser = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {staffUid, reason} = validateRequest(
+      request,
+      DEACTIVATE_STAFF_SCHEMA,
+  );
+
+  const caller = await getCallerContext(auth.uid);
+  const staff = await loadManageableStaff(caller, staffUid);
+  if (staff.data.active === false) {
+    throw new HttpsError(
+        "failed-precondition",
+        "Staff member is already deactivated",
+        {reason: "staff_not_active"},
+    );
+  }
+
+  try {
+    await getAuth().updateUser(staffUid, {disabled: true});
+    await getAuth().revokeRefreshTokens(staffUid);
+
+    await staff.ref.update({
+      active: false,
+      deactivatedAt: FieldValue.serverTimestamp(),
+      deactivatedBy: auth.uid,
+      deactivationReason: reason || null,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Staff user deactivated:", {
+      uid: staffUid,
+      by: auth.uid,
+      reason: reason || null,
+    });
+    await recordStaffAudit(
+        auth.uid,
+        "staff.deactivate",
+        staffUid,
+        staff.data,
+        {...staff.data, active: false},
+        {reason: reason || null},
+    );
+    return {success: true, uid: staffUid, active: false};
+  } catch (error) {
+    throw toHttpsError(error, "deactivateStaffUser");
+  }
+});
+
+const REACTIVATE_STAFF_SCHEMA = {
+  staffUid: REQUIRED_ID,
+};
+
+/**
+ * Re-enables a deactivated staff member with their previous store
+ * assignments and permissions.
+ */
+export const reactivateStaffUser = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+  const {staffUid} = validateRequest(request, REACTIVATE_STAFF_SCHEMA);
+
+  const caller = await getCallerContext(auth.uid);
+  const staff = await loadManageableStaff(caller, staffUid);
+  if (staff.data.active !== false) {
+    throw new HttpsError(
+        "failed-precondition",
+        "Staff member is already active",
+        {reason: "staff_already_active"},
+    );
+  }
+
+  try {
+    await getAuth().updateUser(staffUid, {disabled: false});
+
+    await staff.ref.update({
+      active: true,
+      reactivatedAt: FieldValue.serverTimestamp(),
+      reactivatedBy: auth.uid,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Staff user reactivated:", {uid: staffUid, by: auth.uid});
+    await recordStaffAudit(
+        auth.uid,
+        "staff.reactivate",
+        staffUid,
+        staff.data,
+        {...staff.data, active: true},
+    );
+    return {success: true, uid: staffUid, active: true};
+  } catch (error) {
+    throw toHttpsError(error, "reactivateStaffUser");
+  }
+});
@@ -0,0 +1,474 @@
+import {onCall, HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {FieldValue} from "firebase-admin/firestore";
+import {db} from "./firebase.js";
+import {
+  requireAuth,
+  getCallerContext,
+  assertCanManageStore,
+  assertCanAccessStore,
+} from "./authz.js";
+import {toIsoString} from "./notificationHistory.js";
+import {toHttpsError} from "./errors.js";
+import {
+  ID,
+  REQUIRED_ID,
+  REQUIRED_TEXT,
+  TEXT,
+  fieldError,
+  invalidRequest,
+  validateRequest,
+} from "./validation.js";
+
+const PLACEHOLDER = /{{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*}}/g;
+const LOCALE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const DEFAULT_LOCALE = "en";
+
+/**
+ * Whether the string looks like a BCP 47 language tag ("en", "hi-IN").
+ * @param {string} locale
+ * @return {boolean}
+ */
+export function isValidLocale(locale) {
+  return typeof locale === "string" && LOCALE.test(locale);
+}
+
+/**
+ * The locale a customer prefers, from their notification preferences or
+ * profile.
+ * @param {object} [userData]
+ * @return {string|null}
+ */
+export function getPreferredLocale(userData) {
+  return (
+    userData?.notificationPreferences?.locale || userData?.locale || null
+  );
+}
+
+/**
+ * Picks the variant for a locale, falling back from "hi-IN" to "hi" and
+ * then to the template's default locale.
+ * @param {object} template
+ * @param {string|null} locale
+ * @return {object} `{locale, title, message}`
+ */
+export function pickVariant(template, locale) {
+  const variants = template.variants || {};
+  const candidates = [];
+  if (locale) {
+    candidates.push(locale, locale.split("-")[0]);
+  }
+  candidates.push(template.defaultLocale || DEFAULT_LOCALE);
+
+  const match = candidates.find((candidate) => variants[candidate]);
+  const variantLocale = match || Object.keys(variants)[0];
+  return {locale: variantLocale, ...variants[variantLocale]};
+}
+
+/**
+ * Replaces `{{name}}` placeholders; unknown variables render as "".
+ * @param {string} text
+ * @param {object} variables
+ * @return {string}
+ */
+export function interpolate(text, variables) {
+  return text.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      log("DEBUG: Template variable missing:", name);
+      return "";
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Renders a template for one recipient.
+ * @param {object} template
+ * @param {object} options
+ * @param {string|null} options.locale
+ * @param {object} options.variables
+ * @return {object} `{locale, title, message}`
+ */
+export function renderTemplate(template, {locale, variables}) {
+  const variant = pickVariant(template, locale);
+  return {
+    locale: variant.locale,
+    title: interpolate(variant.title, variables),
+    message: interpolate(variant.message, variables),
+  };
+}
+
+/**
+ * Variables available to templates for one recipient. Caller-supplied
+ * variables override the ones resolved from Firestore.
+ * @param {object} sources
+ * @param {object} [sources.userData] Customer profile
+ * @param {object} [sources.repair] `{id, ...repair data}`
+ * @param {object} [sources.store] `{id, ...store data}`
+ * @param {object} [sources.variables] Caller-supplied variables
+ * @return {object}
+ */
+export function buildTemplateVariables({userData, repair, store, variables}) {
+  return {
+    customerName: userData?.name || repair?.customerName || "",
+    customerMobile: userData?.mobile || repair?.customerMobile || "",
+    repairId: repair?.id || "",
+    deviceModel: repair?.deviceModel || "",
+    deviceBrand: repair?.deviceBrand || "",
+    status: repair?.status || "",
+    storeName: store?.name || "",
+    storePhone: store?.phone || store?.mobile || "",
+    storeAddress: store?.address || "",
+    ...(variables || {}),
+  };
+}
+
+/**
+ * Returns a function that loads store documents, each at most once.
+ * @return {function(string): Promise<object|null>}
+ */
+export function createStoreLoader() {
+  const cache = new Map();
+  return (storeId) => {
+    if (!storeId) {
+      return Promise.resolve(null);
+    }
+    if (!cache.has(storeId)) {
+      cache.set(
+          storeId,
+          db.collection("stores").doc(storeId).get().then((doc) =>
+            doc.exists ? {id: doc.id, ...doc.data()} : null,
+          ),
+      );
+    }
+    return cache.get(storeId);
+  };
+}
+
+/**
+ * Loads a template and checks it belongs to the business it is used for.
+ * @param {string} templateId
+ * @param {string|null} businessId
+ * @return {Promise<object>} `{id, ...template data}`
+ */
+export async function loadTemplate(templateId, businessId) {
+  const templateDoc = await db
+      .collection("notificationTemplates")
+      .doc(templateId)
+      .get();
+  if (!templateDoc.exists) {
+    throw new HttpsError("not-found", "Notification template not found", {
+      reason: "template_not_found",
+      templateId,
+    });
+  }
+  const template = {id: templateDoc.id, ...templateDoc.data()};
+  if (businessId && template.businessId !== businessId) {
+    throw new HttpsError(
+        "permission-denied",
+        "Template belongs to another business",
+        {reason: "template_other_business", templateId},
+    );
+  }
+  return template;
+}
+
+/**
+ * The repair a customer notification is about, for template variables:
+ * `repairId` when given, otherwise the customer's latest repair at the
+ * business.
+ * @param {string} mobile E.164 number, matched to `customerMobileE164`
+ * @param {string|null} businessId
+ * @param {string} [repairId]
+ * @return {Promise<object|null>} `{id, ...repair data}`
+ */
+export async function findCustomerRepair(mobile, businessId, repairId) {
+  if (repairId) {
+    const repairDoc = await db.collection("repairs").doc(repairId).get();
+    const repairData = repairDoc.exists ? repairDoc.data() : null;
+    if (
+      !repairData ||
+      repairData.customerMobileE164 !== mobile ||
+      (businessId && repairData.businessId !== businessId)
+    ) {
+      throw fieldError("repairId", "does not belong to this customer");
+    }
+    return {id: repairDoc.id, ...repairData};
+  }
+
+  let repairsQuery = db.collection("repairs")
+      .where("customerMobileE164", "==", mobile);
+  if (businessId) {
+    repairsQuery = repairsQuery.where("businessId", "==", businessId);
+  }
+  const repairsSnapshot = await repairsQuery.get();
+  const millis = (doc) => doc.data().createdAt?.toMillis?.() || 0;
+  const latest = repairsSnapshot.docs.reduce(
+      (best, doc) => (!best || millis(doc) >= millis(best) ? doc : best),
+      null,
+  );
+  return latest ? {id: latest.id, ...latest.data()} : null;
+}
+
+/**
+ * Throws `invalid-argument` unless a notification has either a template or
+ * both a title and a message.
+ * @param {object} content
+ * @param {string} [content.title]
+ * @param {string} [content.message]
+ * @param {string} [content.templateId]
+ */
+export function assertHasContent({title, message, templateId}) {
+  if (templateId || (title && message)) {
+    return;
+  }
+  throw invalidRequest(
+      ["title", "message"]
+          .filter((field) => !(field === "title" ? title : message))
+          .map((field) => ({
+            field,
+            code: "required",
+            message: "is required unless templateId is given",
+          })),
+  );
+}
+
+/**
+ * Validates caller-supplied template variables.
+ * @param {*} variables
+ * @return {object}
+ */
+export function normalizeTemplateVariables(variables) {
+  if (variables === undefined || variables === null) {
+    return {};
+  }
+  if (
+    typeof variables !== "object" ||
+    Array.isArray(variables) ||
+    Object.values(variables).some(
+        (value) => !["string", "number", "boolean"].includes(typeof value),
+    )
+  ) {
+    throw fieldError(
+        "variables",
+        "must be an object of strings, numbers or booleans",
+        "type",
+    );
+  }
+  return variables;
+}
+
+/**
+ * Validates template variants and returns them normalized.
+ * @param {*} variants
+ * @return {object}
+ */
+function sanitizeVariants(variants) {
+  if (
+    !variants ||
+    typeof variants !== "object" ||
+    Array.isArray(variants) ||
+    Object.keys(variants).length === 0
+  ) {
+    throw fieldError(
+        "variants",
+        "must map at least one locale to {title, message}",
+        "type",
+    );
+  }
+
+  const sanitized = {};
+  for (const [locale, variant] of Object.entries(variants)) {
+    if (!isValidLocale(locale)) {
+      throw fieldError(
+          `variants.${locale}`,
+          "is not a language tag such as \"en\" or \"hi-IN\"",
+          "format",
+      );
+    }
+    if (
+      !variant ||
+      typeof variant.title !== "string" ||
+      !variant.title ||
+      typeof variant.message !== "string" ||
+      !variant.message
+    ) {
+      throw fieldError(
+          `variants.${locale}`,
+          "needs a non-empty title and message",
+      );
+    }
+    sanitized[locale] = {title: variant.title, message: variant.message};
+  }
+  return sanitized;
+}
+
+/**
+ * Shapes a template document for callable responses.
+ * @param {object} doc
+ * @return {object}
+ */
+function serializeTemplate(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt),
+  };
+}
+
+/**
+ * Loads a template for editing and checks the caller manages its business.
+ * @param {object} caller
+ * @param {string} templateId
+ * @return {Promise<object>} The template document
+ */
+async function getManagedTemplate(caller, templateId) {
+  const templateDoc = await db
+      .collection("notificationTemplates")
+      .doc(templateId)
+      .get();
+  if (!templateDoc.exists) {
+    throw new HttpsError("not-found", "Notification template not found", {
+      reason: "template_not_found",
+      templateId,
+    });
+  }
+  assertCanManageStore(caller, templateDoc.data().businessId);
+  return templateDoc;
+}
+
+export const listNotificationTemplates = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId} = validateRequest(request, {businessId: REQUIRED_ID});
+  const caller = await getCallerContext(auth.uid);
+  assertCanAccessStore(caller, businessId);
+
+  try {
+    const snapshot = await db
+        .collection("notificationTemplates")
+        .where("businessId", "==", businessId)
+        .get();
+    return {success: true, templates: snapshot.docs.map(serializeTemplate)};
+  } catch (error) {
+    throw toHttpsError(error, "listNotificationTemplates");
+  }
+});
+
+export const createNotificationTemplate = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {businessId, name, variants, defaultLocale} = validateRequest(
+      request,
+      {
+        businessId: REQUIRED_ID,
+        name: REQUIRED_TEXT,
+        variants: {type: "object", required: true},
+        defaultLocale: ID,
+      },
+  );
+  const caller = await getCallerContext(auth.uid);
+  assertCanManageStore(caller, businessId);
+
+  const sanitizedVariants = sanitizeVariants(variants);
+  const locale = defaultLocale || Object.keys(sanitizedVariants)[0];
+  if (!sanitizedVariants[locale]) {
+    throw fieldError("defaultLocale", "must be one of the variant locales");
+  }
+
+  try {
+    const templateRef = db.collection("notificationTemplates").doc();
+    await templateRef.set({
+      businessId,
+      name: name.trim(),
+      variants: sanitizedVariants,
+      defaultLocale: locale,
+      createdBy: auth.uid,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Created notification template:", {
+      templateId: templateRef.id,
+      businessId,
+      locales: Object.keys(sanitizedVariants),
+    });
+    return {success: true, templateId: templateRef.id};
+  } catch (error) {
+    throw toHttpsError(error, "createNotificationTemplate");
+  }
+});
+
+export const updateNotificationTemplate = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {templateId, name, variants, defaultLocale} = validateRequest(
+      request,
+      {
+        templateId: REQUIRED_ID,
+        name: TEXT,
+        variants: {type: "object"},
+        defaultLocale: ID,
+      },
+  );
+  const caller = await getCallerContext(auth.uid);
+  const templateDoc = await getManagedTemplate(caller, templateId);
+  const current = templateDoc.data();
+
+  const updates = {};
+  if (name) {
+    updates.name = name.trim();
+  }
+  if (variants) {
+    updates.variants = sanitizeVariants(variants);
+  }
+  const finalVariants = updates.variants || current.variants;
+  const finalLocale = defaultLocale || current.defaultLocale;
+  if (!finalVariants[finalLocale]) {
+    throw fieldError("defaultLocale", "must be one of the variant locales");
+  }
+  updates.defaultLocale = finalLocale;
+
+  try {
+    await templateDoc.ref.update({
+      ...updates,
+      updatedBy: auth.uid,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    log("DEBUG: Updated notification template:", {
+      templateId,
+      fields: Object.keys(updates),
+    });
+    return {success: true, templateId};
+  } catch (error) {
+    throw toHttpsError(error, "updateNotificationTemplate");
+  }
+});
+
+export const deleteNotificationTemplate = onCall(async (request) => {
+  log("DEBUG: request.auth:", request.auth);
+  log("DEBUG: request.data:", request.data);
+  const auth = requireAuth(request);
+
+  const {templateId} = validateRequest(request, {templateId: REQUIRED_ID});
+  const caller = await getCallerContext(auth.uid);
+  const templateDoc = await getManagedTemplate(caller, templateId);
+
+  try {
+    await templateDoc.ref.delete();
+    log("DEBUG: Deleted notification template:", templateId);
+    return {success: true};
+  } catch (error) {
+    throw toHttpsError(error, "deleteNotificationTemplate");
+  }
+});
@@ -0,0 +1,178 @@
+/**
+ * Whether the string is an IANA time zone known to the runtime
+ * (e.g. "Asia/Kolkata").
+ * @param {string} timeZone
+ * @return {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the wall-clock parts of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {object} {year, month, day, hour, minute, second, weekday}
+ */
+export function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+  });
+  const parts = {};
+  formatter.formatToParts(date).forEach(({type, value}) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday,
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at the given instant, in milliseconds.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {number}
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to the instant it denotes.
+ * @param {object} local {year, month, day, hour, minute, second}
+ * @param {string} timeZone
+ * @return {Date}
+ */
+export function zonedTimeToDate(local, timeZone) {
+  const asUtc = Date.UTC(
+      local.year,
+      local.month - 1,
+      local.day,
+      local.hour || 0,
+      local.minute || 0,
+      local.second || 0,
+  );
+  // Correct twice so times near a DST change land on the right offset
+  let instant = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+  instant = asUtc - getTimeZoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * The wall-clock time of an instant in a time zone, as a local ISO 8601
+ * date-time without offset ("2026-12-24T09:00:00").
+ * @param {Date} date
+ * @param {string} timeZone
+ * @return {string}
+ */
+export function formatLocalDateTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+// ISO 8601 date, or date-time with an optional "Z" or "+05:30" offset
+const ISO_DATE_TIME = new RegExp(
+    "^(\\d{4})-(\\d{2})-(\\d{2})" +
+    "(?:[T ](\\d{2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d+))?)?" +
+    "(Z|[+-]\\d{2}:?\\d{2})?)?$",
+    "i",
+);
+
+/**
+ * Parses a point in time given as epoch milliseconds, an ISO 8601 string
+ * with an offset ("2026-12-24T09:00:00+05:30"), or a local ISO 8601 date
+ * or date-time without one ("2026-12-24T09:00") that is read in
+ * `timeZone`. Anything else, including dates that do not exist, is
+ * rejected rather than guessed at.
+ * @param {string|number} value
+ * @param {string} [timeZone] Defaults to UTC
+ * @return {Date|null} Null when the value cannot be parsed
+ */
+export function parseDateTime(value, timeZone) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? new Date(value) : null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const match = ISO_DATE_TIME.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second] = match
+      .slice(1, 7)
+      .map((part) => Number(part || 0));
+  const millis = Number((match[7] || "").padEnd(3, "0").slice(0, 3));
+  const offset = match[8];
+
+  // Date.UTC rolls "02-30" over into March; refuse instead
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (
+    check.getUTCFullYear() !== year ||
+    check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day ||
+    hour > 23 ||
+    minute > 59 ||
+    second > 59
+  ) {
+    return null;
+  }
+
+  if (!offset) {
+    const date = zonedTimeToDate(
+        {year, month, day, hour, minute, second},
+        timeZone || "UTC",
+    );
+    return new Date(date.getTime() + millis);
+  }
+
+  let offsetMinutes = 0;
+  if (offset.toUpperCase() !== "Z") {
+    const digits = offset.slice(1).replace(":", "");
+    const offsetHours = Number(digits.slice(0, 2));
+    const extraMinutes = Number(digits.slice(2));
+    if (offsetHours > 23 || extraMinutes > 59) {
+      return null;
+    }
+    offsetMinutes = (offsetHours * 60 + extraMinutes) *
+      (offset[0] === "-" ? -1 : 1);
+  }
+  return new Date(
+      Date.UTC(year, month - 1, day, hour, minute, second, millis) -
+        offsetMinutes * 60000,
+  );
+}
@@ -0,0 +1,246 @@
+import {HttpsError} from "firebase-functions/v2/https";
+import {log} from "firebase-functions/logger";
+import {PERMISSION_IDS} from "./permissionCatalog.js";
+
+// Rules shared by most callables. Ids become document ids, which cannot
+// contain "/"; 128 characters is the longest Auth uid.
+export const ID = {type: "string", minLength: 1, maxLength: 128, format: "id"};
+export const REQUIRED_ID = {...ID, required: true};
+export const TEXT = {type: "string", minLength: 1, maxLength: 4000};
+export const REQUIRED_TEXT = {...TEXT, required: true};
+export const PERMISSIONS = {
+  type: "array",
+  items: {type: "string", format: "permission"},
+};
+
+const FORMATS = {
+  id: {
+    test: (value) =>
+      !value.includes("/") &&
+      value !== "." &&
+      value !== ".." &&
+      !/^__.*__$/.test(value),
+    message: "must be an id without \"/\"",
+  },
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: "must be an email address",
+  },
+  phone: {
+    test: (value) =>
+      /^\+?[0-9 ()-]+$/.test(value) &&
+      /^\d{7,15}$/.test(value.replace(/\D/g, "")),
+    message: "must be a phone number of 7 to 15 digits",
+  },
+  permission: {
+    test: (value) => PERMISSION_IDS.includes(value),
+    message: `must be one of: ${PERMISSION_IDS.join(", ")}`,
+  },
+};
+
+/**
+ * The `invalid-argument` error every callable throws for bad input. Clients
+ * read `details.errors` to map problems back to fields.
+ * @param {object[]} errors `[{field, code, message}]`
+ * @return {HttpsError}
+ */
+export function invalidRequest(errors) {
+  const summary = errors
+      .map(({field, message}) => (field ? `${field} ${message}` : message))
+      .join("; ");
+  return new HttpsError("invalid-argument", summary, {
+    reason: "invalid_request",
+    errors,
+  });
+}
+
+/**
+ * `invalidRequest` for a single field.
+ * @param {string} field Path of the field, e.g. "audience.lastDays"
+ * @param {string} message What is wrong, without the field name
+ * @param {string} [code] "required", "type", "format", "enum", "length",
+ *   "range" or "invalid"
+ * @return {HttpsError}
+ */
+export function fieldError(field, message, code = "invalid") {
+  return invalidRequest([{field, code, message}]);
+}
+
+/**
+ * Whether a value has the schema type.
+ * @param {*} value
+ * @param {string} type
+ * @return {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "any":
+      return true;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Checks one value against its rule, collecting problems in `errors`.
+ * @param {*} value
+ * @param {object} rule
+ * @param {string} field Path of the value, for error messages
+ * @param {object[]} errors
+ * @return {*} The checked value
+ */
+function checkValue(value, rule, field, errors) {
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type || "any"];
+  if (!types.some((type) => hasType(value, type))) {
+    errors.push({
+      field,
+      code: "type",
+      message: `must be ${types.join(" or ")}`,
+    });
+    return value;
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      errors.push({
+        field,
+        code: "length",
+        message: rule.minLength === 1 ?
+          "cannot be empty" :
+          `must be at least ${rule.minLength} characters`,
+      });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({
+        field,
+        code: "length",
+        message: `must be at most ${rule.maxLength} characters`,
+      });
+    }
+    if (rule.format && !FORMATS[rule.format].test(value)) {
+      errors.push({
+        field,
+        code: "format",
+        message: FORMATS[rule.format].message,
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({field, code: "range", message: `must be >= ${rule.min}`});
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({field, code: "range", message: `must be <= ${rule.max}`});
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({
+      field,
+      code: "enum",
+      message: `must be one of: ${rule.enum.join(", ")}`,
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({
+        field,
+        code: "length",
+        message: `must have at least ${rule.minItems} item(s)`,
+      });
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push({
+        field,
+        code: "length",
+        message: `must have at most ${rule.maxItems} items`,
+      });
+    }
+    if (rule.items) {
+      return value.map((item, index) =>
+        checkValue(item, rule.items, `${field}[${index}]`, errors),
+      );
+    }
+  }
+
+  // Nested objects keep their other properties; only the top level of
+  // request.data is reduced to the declared fields
+  if (rule.properties && hasType(value, "object")) {
+    return {
+      ...value,
+      ...checkObject(value, rule.properties, `${field}.`, errors),
+    };
+  }
+  return value;
+}
+
+/**
+ * Checks an object against a schema, collecting problems in `errors`.
+ * @param {object} data
+ * @param {object} schema Field name to rule
+ * @param {string} prefix Path of the object, for error messages
+ * @param {object[]} errors
+ * @return {object} The declared fields that were present
+ */
+function checkObject(data, schema, prefix, errors) {
+  const checked = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = data[name];
+    const field = `${prefix}${name}`;
+    // null counts as missing, but is kept so callers can clear a field
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push({field, code: "required", message: "is required"});
+      } else if (value === null) {
+        checked[name] = null;
+      }
+      continue;
+    }
+    checked[name] = checkValue(value, rule, field, errors);
+  }
+  return checked;
+}
+
+/**
+ * Validates `request.data` of a callable against a schema and returns the
+ * declared fields. Throws `invalid-argument` listing every problem.
+ *
+ * A schema maps field names to rules: `{type, required, format, enum,
+ * minLength, maxLength, min, max, minItems, maxItems, items, properties}`.
+ * `type` is "string", "number", "integer", "boolean", "object", "array",
+ * "any" or a list of those; `format` is "email", "phone" or "permission"
+ * (a name from the permission catalog).
+ * @param {object} request
+ * @param {object} schema
+ * @return {object}
+ */
+export function validateRequest(request, schema) {
+  const data = request.data === undefined || request.data === null ?
+    {} :
+    request.data;
+  if (!hasType(data, "object")) {
+    throw invalidRequest([
+      {field: null, code: "type", message: "Request data must be an object"},
+    ]);
+  }
+
+  const errors = [];
+  const checked = checkObject(data, schema, "", errors);
+  if (errors.length > 0) {
+    log("DEBUG: Invalid request data:", errors);
+    throw invalidRequest(errors);
+  }
+  return checked;
+}